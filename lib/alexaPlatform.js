@@ -3,8 +3,11 @@
 
 const alexa = require('alexa-app');
 const alexaAppExt = require('./alexaAppExt.js');
+const utils = require('./utils.js');
+const ssml = require('./ssml.js');
 const PlatformReq = require('./platformPlugin.js').PlatformReq;
 const PlatformPlugin = require('./platformPlugin.js').PlatformPlugin;
+const log = require('./log.js').logger('alexaPlatform');
 
 const violetToPlatformTypeMap = {
   'number': 'NUMBER',
@@ -15,6 +18,10 @@ const violetToPlatformTypeMap = {
   'phrase': 'AMAZON.SearchQuery'
 };
 
+const ssmlRenderers = {
+  whisper: (node, inner)=>{return `<amazon:effect name="whispered">${inner}</amazon:effect>`;}
+};
+
 class AlexaPlatformReq extends PlatformReq {
   constructor(platform, request, response) {
     super(platform, request, response);
@@ -24,6 +31,14 @@ class AlexaPlatformReq extends PlatformReq {
     return this.request.userId;
   }
 
+  getSessionId() {
+    return this.request.sessionId;
+  }
+
+  getLocale() {
+    return this.request.data.request.locale;
+  }
+
   getSlots() {
     return alexaAppExt.reqListSlots(this.request);
   }
@@ -36,10 +51,24 @@ class AlexaPlatformReq extends PlatformReq {
     return this.request.getSession();
   }
 
+  getAccessToken() {
+    var data = this.request.data;
+    var user = (data.session && data.session.user) || (data.context && data.context.System.user);
+    return user ? user.accessToken : undefined;
+  }
+
+  requestAccountLinking() {
+    this.response.linkAccount();
+  }
+
   say(str) {
     this.response.say(str);
   }
 
+  reprompt(str) {
+    this.response.reprompt(str);
+  }
+
   shouldEndSession(flag) {
     this.response.shouldEndSession(flag);
   }
@@ -53,9 +82,34 @@ class AlexaPlatform extends PlatformPlugin {
   constructor(endpoint) {
     super(endpoint);
     this._app = new alexa.app(this.endpoint);
+    this.localeUtterances = {};
+  }
+
+  // an app with the same intents as ours but with the utterances for the
+  // locale - used to generate the interaction model for the locale
+  _localeApp(locale) {
+    var localeApp = new alexa.app(this.endpoint);
+    localeApp.invocationName = this._app.invocationName;
+    localeApp.dictionary = this._app.dictionary;
+    localeApp.customSlots = this._app.customSlots;
+    Object.keys(this._app.intents).forEach(name=>{
+      var intent = this._app.intents[name];
+      var utterances = utils.forLocale(Object.assign({default: intent.utterances}, this.localeUtterances[name]), locale);
+      localeApp.intent(name, {slots: intent.slots, utterances}, ()=>{});
+    });
+    return localeApp;
   }
 
   setServerApp(alexaRouter) {
+    // models for other locales, for example: /alexa?schema&schemaType=askcli&locale=de-DE
+    alexaRouter.get('/' + this.endpoint, (req, res, next) => {
+      if (!req.query.locale) return next();
+      var localeApp = this._localeApp(req.query.locale);
+      if (typeof req.query.utterances != 'undefined')
+        return res.set('Content-Type', 'text/plain').send(localeApp.utterances());
+      var schema = localeApp.schemas[req.query.schemaType || 'intent'] || localeApp.schemas.intent;
+      res.set('Content-Type', 'text/plain').send(schema());
+    });
     this._app.express({
       router: alexaRouter,
       checkCert: false,
@@ -65,8 +119,9 @@ class AlexaPlatform extends PlatformPlugin {
 
   onError(cb) {
     this._app.error = (exception, requ, resp) => {
-      console.log(exception);
-      cb(exception.message, new AlexaPlatformReq(this, requ, resp));
+      var platReq = new AlexaPlatformReq(this, requ, resp);
+      platReq.log.error('Error handling the request', {error: exception});
+      cb(exception.message, platReq);
     };
   }
 
@@ -76,6 +131,12 @@ class AlexaPlatform extends PlatformPlugin {
     });
   }
 
+  onUnrecognized(cb) {
+    this._app.intent('AMAZON.FallbackIntent', {}, (requ, resp) => {
+      return cb(new AlexaPlatformReq(this, requ, resp));
+    });
+  }
+
   regIntent(name, params, cb) {
     // translate from Violet types to Platform types
     if (params.slots) {
@@ -85,10 +146,12 @@ class AlexaPlatform extends PlatformPlugin {
        }
       });
     }
-    console.log('registering: ', name, params);
+    log.debug('Registering intent', {intent: name, params});
+    this.localeUtterances[name] = params.localeUtterances || {};
     this._app.intent(name, params, (requ, resp)=>{
-      console.log(`Intent Request - ${name}: ${params.utterances[0]}, ...`);
-      return cb(new AlexaPlatformReq(this, requ, resp));
+      var platReq = new AlexaPlatformReq(this, requ, resp);
+      platReq.log.debug('Intent request', {intent: name, utterance: params.utterances[0]});
+      return cb(platReq);
     });
   }
 
@@ -96,6 +159,10 @@ class AlexaPlatform extends PlatformPlugin {
     this._app.customSlot(type, values);
   }
 
+  renderOutput(nodes) {
+    return ssml.render(nodes, ssmlRenderers);
+  }
+
 
 }
 
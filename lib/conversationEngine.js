@@ -12,42 +12,56 @@
  */
 
 var co = require('co');
+var crypto = require('crypto');
 var Promise = require('bluebird');
 var cheerio = require('cheerio');
 
 var utils = require('./utils.js');
+var template = require('./template.js');
+var ssml = require('./ssml.js');
 var Response = require('./response.js');
+var TranscriptMgr = require('./transcript.js');
+var StateMgr = require('./state.js');
+var ServerSessionMgr = require('./serverSession.js');
+var EventMgr = require('./events.js');
+var redact = require('./log.js').redact;
+var redactValues = require('./log.js').redactValues;
+var log = require('./log.js').logger('conversationEngine');
+var ScriptValidator = require('./scriptValidator.js');
 var FlowScriptCompiler = require('./flowScriptCompiler.js');
+var AccountLinkingError = require('./storePlugin.js').AccountLinkingError;
 
 
 const paramsRE   = /\[\[([a-zA-Z0-9_,+\-*\/\s\\\.\(\)\']*)\]\]/;
 const paramsGRE  = /\[\[([a-zA-Z0-9_,+\-*\/\s\\\.\(\)\']*)\]\]/g;
-const pauseStr = ' <break time="500ms"/> ';
+// said between items (with spaces around it)
+var _pauseNodes = ()=>{return [ssml.text(' '), ssml.pause(500), ssml.text(' ')];};
 
 ///////////////////////////
 // generic utilities
 ///////////////////////////
 var topInArr = (arr, ndx)=>{if (arr.length==0 || ndx>=arr.length) return undefined; else return arr[arr.length-ndx-1];}
 var updateArr = (arr, ndx, newVal)=>{if (arr.length==0 || ndx<0 || ndx>=arr.length) return false;  arr[arr.length-ndx-1] = newVal; return true;}
+// handles generators, promises, and non promise values
+var toPromise = (result)=>{
+  if (result && result.next)
+    return co(result); // generator return - run the rest of generator [co fortunately allow the genObj as a paramer and not just genFunc]
+  return Promise.resolve(result); // primarily to convert non-promises to promises
+};
 
 ///////////////////////////
 // registration utilities
 ///////////////////////////
 
-var _registeredIntents = 0;
-var _getAlphabeticStr = function() {
-  // trying to generate: A, B, C, ... Z, AA, AB, AC, ... AZ, BA, BB, ...
-  // intent names cannot have digits in them
-  var validChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  var indices = _registeredIntents.toString(validChars.length);
-  var retStr = 'Intent';
-  for(var ndxOfIndices=0; ndxOfIndices<indices.length; ndxOfIndices++) {
-    retStr += validChars.charAt(parseInt(indices.charAt(ndxOfIndices), validChars.length));;
-  }
-  _registeredIntents++;
-  return retStr;
+// names are based on what the user says and the goals the intent is in, so
+// that they stay the same when other intents are added or moved around
+var _genIntentName = function(userSpeech, goals, nameLen=8) {
+  var normalized = userSpeech.map(s=>{return s.toLowerCase().replace(/\s+/g, ' ').trim();}).sort();
+  var hash = crypto.createHash('sha1').update(JSON.stringify({utterances: normalized, goals})).digest('hex');
+  // intent names cannot have digits in them - so map the hex digits to letters
+  var letters = hash.split('').map(c=>{return String.fromCharCode(65 + parseInt(c, 16));}).join('');
+  return 'Intent' + letters.substr(0, nameLen);
 };
-var _genIntentName = _getAlphabeticStr;
 
 ///////////////////////////
 // output utilities
@@ -68,105 +82,302 @@ var _interpolateParamsFromStore = function(str, varExtractionRE, store) {
   return str;
 };
 
-var _pickAndInterpolate = function(potResponses, interpolationStore) {
+const lastVariantsKey = 'convoLastVariants';
+const lastOutputKey = 'convoLastOutput';
+var _variantKey = function(potResponses) {
+  return crypto.createHash('sha1').update(potResponses.join('\n')).digest('hex').substr(0, 8);
+};
+
+// strategies for picking which of the potential responses to say - each
+// returns a function that is given the potential responses (and the store)
+// and returns the index of the response to be said
+var _variantSelectors = {
+  random: ()=>{
+    return (potResponses)=>{return utils.getRand(0, potResponses.length);};
+  },
+  noRepeat: ()=>{
+    // the response last picked from each set is kept in the session
+    return (potResponses, store)=>{
+      if (potResponses.length < 2 || !store) return utils.getRand(0, potResponses.length);
+      var key = _variantKey(potResponses);
+      var lastVariants = Object.assign({}, store.get(lastVariantsKey));
+      var repeatable = !(key in lastVariants);
+      var ndx = utils.getRand(0, potResponses.length - (repeatable ? 0 : 1));
+      if (!repeatable && ndx >= lastVariants[key]) ndx++; // skip over the last one
+      lastVariants[key] = ndx;
+      store.set(lastVariantsKey, lastVariants);
+      return ndx;
+    };
+  },
+  roundRobin: ()=>{
+    var counters = {};
+    return (potResponses)=>{
+      var key = _variantKey(potResponses);
+      if (!counters[key]) counters[key] = 0;
+      return counters[key]++ % potResponses.length;
+    };
+  },
+  seeded: ({seed=0}={})=>{
+    var getRand = utils.getSeededRand(seed);
+    return (potResponses)=>{return getRand(0, potResponses.length);};
+  }
+};
+var _defaultSelectVariant = _variantSelectors.random();
+
+var _pickAndInterpolate = function(potResponses, interpolationStore, selectVariant=_defaultSelectVariant, locale) {
   var str = potResponses;
   if (Array.isArray(potResponses)) {
-    str = potResponses[utils.getRand(0, potResponses.length)];
+    str = potResponses[selectVariant(potResponses, interpolationStore)];
   }
+  // logged before interpolation, so that what the user said is not in it
+  log.debug('Picked for output', {output: str});
   if (interpolationStore) { // unlikely, but in error situations interpolationStore can be null
-    str = _interpolateParamsFromStore(str, paramsRE, interpolationStore);
+    str = template.render(str, interpolationStore, locale);
   }
-  if (!str) console.log(new Error().stack);
-  console.log('picking for output: ' + str);
+  if (!str) log.warn('Nothing picked for output', {stack: new Error().stack});
   return str;
 }
 
 
 /**
- * Helps the ConversationEngine build an output (back to Alexa) as provided by
- * calls from Violet Scripts to the Response class
+ * Runs the middleware registered by scripts (via
+ * {@link module:conversationEngine~ConversationEngine#use use}) around the
+ * processing of every request.
  * <br><br>
  * Methods in this class are currently only used internally and therefore
  * documentation is not exposed.
  *
  * @class
  */
-class OutputMgr {
+class MiddlewareMgr {
   constructor() {
-    // script configuration
-    this.spokenRate = null;
+    this.middleware = [];
+  }
 
-    // state while outputing - can span multiple Response's (when multiple goals are being met)
-    this.asked = 0;      // can be less than one for partial questions, i.e. prompts
-    this.sayQueue = [];
-    this.askQueue = [];
+  use(middleware) {
+    this.middleware.push(middleware);
+  }
 
-    this.keepConversationRunning = true;
+  _hooks(hookName) {
+    return this.middleware.filter(m=>{return m[hookName];}).map(m=>{return m[hookName];});
+  }
+
+  // resolves to false if any of the middleware wants to short-circuit the request
+  beforeIntent(platReq, response, intentName) {
+    return Promise.reduce(this._hooks('beforeIntent'), (proceed, hook)=>{
+      if (!proceed) return false;
+      return toPromise(hook(platReq, response, intentName)).then(result=>{return result !== false;});
+    }, true);
+  }
 
-    this.__speaking = false;
+  afterResolve(platReq, response) {
+    return Promise.each(this._hooks('afterResolve'), hook=>{
+      return toPromise(hook(platReq, response));
+    });
   }
-  initialize() {
-    this.asked = 0;
 
-    this.sayQueue = [];
-    this.askQueue = [];
+  // synchronous - returns the output, as potentially rewritten by the middleware
+  beforeSend(platReq, response, outBuffer) {
+    this._hooks('beforeSend').forEach(hook=>{
+      var result = hook(platReq, response, outBuffer);
+      if (typeof result == 'string') outBuffer = result;
+    });
+    return outBuffer;
+  }
 
-    this.keepConversationRunning = true;
+  // resolves to true if any of the middleware handled the error
+  onError(err, platReq, response) {
+    return Promise.reduce(this._hooks('onError'), (handled, hook)=>{
+      return toPromise(hook(err, platReq, response)).then(result=>{return handled || result == true;});
+    }, false);
   }
+}
 
 
-  setSpeaking() { this.__speaking = true; }
-  clearSpeaking() { this.__speaking = false; }
-  isSpeaking() { return this.__speaking; }
+/**
+ * Helps the ConversationEngine build an output (back to Alexa) as provided by
+ * calls from Violet Scripts to the Response class
+ * <br><br>
+ * Methods in this class are currently only used internally and therefore
+ * documentation is not exposed.
+ *
+ * @class
+ */
+class OutputMgr {
+  constructor(middlewareMgr, eventMgr) {
+    this.middlewareMgr = middlewareMgr;
+    this.eventMgr = eventMgr;
 
+    // script configuration
+    this.spokenRate = null;
+    this.selectVariant = _defaultSelectVariant;
+  }
+
+  setVariantSelection(strategy, options) {
+    if (!_variantSelectors[strategy]) {
+      log.error('Variant selection not supported', {strategy});
+      return;
+    }
+    this.selectVariant = _variantSelectors[strategy](options);
+  }
+
+  // state while outputing - can span multiple Response's (when multiple goals
+  // are being met) but is scoped to a single request, so that concurrent users
+  // never share buffers
+  newOutputCtx() {
+    return {
+      asked: 0,      // can be less than one for partial questions, i.e. prompts
+      sayQueue: [],
+      askQueue: [],
+      repromptQueue: [], // what to say if the user does not respond to the asks
+      keepConversationRunning: true,
+      followGoals: true,
+      pending: [],   // output whose values are still being resolved
+      speaking: false,
+      startTime: Date.now()
+    };
+  }
+
+  setSpeaking(response) { response.outputCtx.speaking = true; }
+  clearSpeaking(response) { response.outputCtx.speaking = false; }
+  isSpeaking(response) { return response.outputCtx.speaking; }
+
+  // potential responses can be a map of locale:responses
+  _pick(response, potResponses) {
+    var locale = response.getLocale();
+    potResponses = utils.forLocale(potResponses, locale, response.convoEngine.convo.defaultLocale);
+    return _pickAndInterpolate(potResponses, response._sessionStore(), this.selectVariant, locale);
+  }
+  // templates can have values from asynchronous model functions - those are
+  // filled in when resolved (and waited for before sending)
+  _textNode(response, potResponses) {
+    var picked = this._pick(response, potResponses);
+    if (!picked || typeof picked.then != 'function') return ssml.text(picked);
+    var node = ssml.text('');
+    response.outputCtx.pending.push(Promise.resolve(picked).then(str=>{node.text = str;}));
+    return node;
+  }
+  whenRendered(response) {
+    return Promise.all(response.outputCtx.pending);
+  }
+  // queued items are arrays of ssml nodes - see the ssml module
+  _queueSay(response, nodes, quick) {
+    var outputCtx = response.outputCtx;
+    if (outputCtx.sayQueue.length>0 && !quick) outputCtx.sayQueue.push(_pauseNodes());
+    outputCtx.sayQueue.push(nodes);
+  }
   say(response, potResponses, quick) {
-    if (this.sayQueue.length>0 && !quick) this.sayQueue.push(pauseStr);
-    this.sayQueue.push(_pickAndInterpolate(potResponses, response._sessionStore()));
+    this._queueSay(response, [this._textNode(response, potResponses)], quick);
   }
-  prompt(response, potResponses) {
-    this.askQueue.push(_pickAndInterpolate(potResponses, response._sessionStore()));
-    this.asked += 0.34;
+  // the below can be used in the middle of sentences - so no pauses are added
+  pause(response, ms) {
+    this._queueSay(response, [ssml.pause(ms)], true);
   }
-  ask(response, potResponses) {
-    this.askQueue.push(_pickAndInterpolate(potResponses, response._sessionStore()));
-    this.asked += 1;
+  emphasis(response, potResponses, level) {
+    this._queueSay(response, [ssml.emphasis([this._textNode(response, potResponses)], level)], true);
   }
-  sendFromQueue(platReq, response, potResponses) {
-    if (potResponses) this.sayQueue.push(_pickAndInterpolate(potResponses, response._sessionStore()));
-    // build outBuffer
-    var outBuffer = '';
-    this.sayQueue.forEach(str=>{
-      if (outBuffer.length == 0)
-        outBuffer = str;
+  sayAs(response, value, interpretAs, format) {
+    this._queueSay(response, [ssml.sayAs(value, interpretAs, format)], true);
+  }
+  audio(response, url) {
+    this._queueSay(response, [ssml.audio(url)], true);
+  }
+  whisper(response, potResponses) {
+    this._queueSay(response, [ssml.whisper([this._textNode(response, potResponses)])], true);
+  }
+  _queueAsk(response, potResponses, potReprompts) {
+    var outputCtx = response.outputCtx;
+    var askNodes = [this._textNode(response, potResponses)];
+    outputCtx.askQueue.push(askNodes);
+    if (potReprompts)
+      outputCtx.repromptQueue.push([this._textNode(response, potReprompts)]);
+    else
+      outputCtx.repromptQueue.push(askNodes);
+  }
+  prompt(response, potResponses, potReprompts) {
+    this._queueAsk(response, potResponses, potReprompts);
+    response.outputCtx.asked += 0.34;
+  }
+  ask(response, potResponses, potReprompts) {
+    this._queueAsk(response, potResponses, potReprompts);
+    response.outputCtx.asked += 1;
+  }
+  _joinAsks(askArr) {
+    var outNodes = [];
+    askArr.forEach((askNodes, ndx)=>{
+      if (ndx==0)
+        outNodes = askNodes.slice();
+      else if (ndx==askArr.length-1)
+        outNodes = outNodes.concat([ssml.text(' or ')], askNodes);
       else
-        outBuffer += ' ' + str;
+        outNodes = outNodes.concat([ssml.text(', ')], askNodes);
     });
-    this.askQueue.forEach((str, ndx)=>{
-      if (outBuffer.length == 0) {
-        outBuffer = str;
-        return;
-      }
-      if (ndx==0)
-        outBuffer += pauseStr + str;
-      else if (ndx==this.askQueue.length-1)
-        outBuffer += ' or ' + str;
+    return outNodes;
+  }
+  // each platform renders the output (downgrading what it does not support)
+  _finalizeOutput(platReq, outNodes) {
+    if (this.spokenRate) outNodes = [ssml.prosody(outNodes, this.spokenRate)];
+    return platReq.platform.renderOutput(outNodes);
+  }
+  sendFromQueue(platReq, response, potResponses) {
+    var outputCtx = response.outputCtx;
+    if (potResponses) outputCtx.sayQueue.push([this._textNode(response, potResponses)]);
+    // build the output
+    var sayNodes = [];
+    outputCtx.sayQueue.forEach(nodes=>{
+      if (sayNodes.length == 0)
+        sayNodes = nodes.slice();
       else
-        outBuffer += ', ' + str;
+        sayNodes = sayNodes.concat([ssml.text(' ')], nodes);
     });
-
-    if (this.spokenRate) outBuffer = `<prosody rate="${this.spokenRate}">${outBuffer}</prosody>`;
-    outBuffer = outBuffer.replace(/\s&\s/g, ' and ');
+    var askNodes = this._joinAsks(outputCtx.askQueue);
+    var repromptNodes = this._joinAsks(outputCtx.repromptQueue);
+    var outNodes = sayNodes;
+    if (askNodes.length > 0) {
+      if (outNodes.length == 0)
+        outNodes = askNodes;
+      else
+        outNodes = outNodes.concat(_pauseNodes(), askNodes);
+    }
+    if (outNodes.length > 0) // remember so that we can repeat it
+      response.set(lastOutputKey, {say: sayNodes, ask: askNodes, reprompt: repromptNodes});
+    var outBuffer = outNodes.length > 0 ? this._finalizeOutput(platReq, outNodes) : '';
+    outBuffer = this.middlewareMgr.beforeSend(platReq, response, outBuffer);
 
     if (outBuffer !== '') {
-      console.log('Saying: ' + outBuffer);
+      // what is said has the slots in it - which could need to be redacted
+      var slots = {};
+      platReq.getSlots().forEach(slotName=>{slots[slotName] = platReq.getSlot(slotName);});
+      response.log.debug('Saying', {output: redactValues(outBuffer, slots)});
       platReq.say(outBuffer);
     }
-    if (this.keepConversationRunning) platReq.shouldEndSession(false);
+    if (outputCtx.keepConversationRunning) {
+      platReq.shouldEndSession(false);
+      if (repromptNodes.length > 0)
+        platReq.reprompt(this._finalizeOutput(platReq, repromptNodes));
+    } else {
+      platReq.endsSession = true;
+    }
+    this.eventMgr.emit('response.sent', platReq, {
+      output: outBuffer, endSession: !outputCtx.keepConversationRunning, durationMs: Date.now() - outputCtx.startTime
+    });
     return outBuffer;
   }
-  /*DANGER - will likely remove these soon - only used by ClientTx plugin - DANGER*/
-  __get_sendFromQueue() {return this.sendFromQueue;}
-  __set_sendFromQueue(val) {this.sendFromQueue = val;}
+
+  // queues what was last said (and asked) and stops goals from being followed
+  // so that the goals stay as they are; returns false if nothing has been said
+  repeat(response) {
+    var outputCtx = response.outputCtx;
+    var lastOutput = response.get(lastOutputKey);
+    outputCtx.followGoals = false;
+    if (!lastOutput) return false;
+    if (lastOutput.say.length > 0) outputCtx.sayQueue.push(lastOutput.say);
+    if (lastOutput.ask.length > 0) {
+      outputCtx.askQueue.push(lastOutput.ask);
+      outputCtx.repromptQueue.push(lastOutput.reprompt || lastOutput.ask);
+    }
+    return true;
+  }
 
 }
 
@@ -181,10 +392,11 @@ class OutputMgr {
  */
 class ScriptParser {
 
-  static forPunctuation(userSpeech) {
+  static forPunctuation(userSpeech, locale) {
     userSpeech = userSpeech.map(function(userSpeechItem) {
       return userSpeechItem.replace(/[,?]/g,'');
     });
+    if (locale && !locale.toLowerCase().startsWith('en')) return userSpeech; // we can only spell out numbers in english
     userSpeech = userSpeech.map(function(userSpeechItem) {
       return _interpolateParamsFromStore(userSpeechItem, /(\d+)/, {get: (num)=>{return utils.getNumAsStr(num);}});
     });
@@ -208,7 +420,7 @@ class ScriptParser {
             sampleValues = keyTypes[inStr].sampleValues.join('|');
             // console.log('** literalSampleValuesStore: ' + inStr + ': ' + sampleValues);
           } else if (!keyTypes[inStr]) {
-            console.log('*** Received unexpected type :', inStr);
+            log.warn('Received unexpected type', {type: inStr});
             keyTypes[inStr] = 'AMAZON.LITERAL';
           }
           return '{' + sampleValues + '|' + inStr + '}';
@@ -282,42 +494,48 @@ class InputMgr {
   // response - conversationalResponse object
   // goalName - removed from the goalsToMeet list when intentResolveCB is done without error; can be null
   // intentResolveCB - what triggered us right now
-  _followGoals(response, goalName, intentResolveCB) {
+  // intentOnError - called when intentResolveCB fails; can be null
+  _followGoals(response, goalName, intentResolveCB, intentOnError) {
     var convo = this.convoEngine;
+    var moreGoalsToSeek = true;
 
-    var listGoals = (action)=>{console.log(`[${action}] goals to meet: `, convo._getGoalsRaw(response));}
+    var listGoals = (action)=>{response.log.debug('Goals to meet', {action, goals: convo._getGoalsRaw(response)});}
     var topGoalWithState = (goalNdx)=>{listGoals('top'); return convo.mostRecentGoalStates(response, goalNdx);}
     var updateGoalState = (goalNdx, goalWithState)=>{listGoals('updateState'); return convo.updateMostRecentGoalStates(response, goalNdx, goalWithState); }
     var removeGoal = (goalName)=>{listGoals(`remove ${goalName}`); convo.clearGoal(response, goalName);}
-    var resolveGoal = function(resolveCB, goalNameToResolve) {
-      var result = resolveCB(response);
-      if (result && result.next)
-        result = co(result); // generator return - run the rest of generator [co fortunately allow the genObj as a paramer and not just genFunc]
-      else
-        result = Promise.resolve(result) // primarily to convert non-promises to promises
-
+    var resolveGoal = (resolveCB, goalNameToResolve, onError)=>{
+      var result = Promise.try(()=>{
+        return toPromise(resolveCB(response, convo.getGoalArgs(response, goalNameToResolve)));
+      });
       return result.then((result)=>{
           if (result==true || result==undefined) removeGoal(goalNameToResolve);
+        }, (err)=>{
+          if (!onError) throw err;
+          return this._recoverWith(onError, response, err, goalNameToResolve).then(()=>{
+            moreGoalsToSeek = false; // the goals are as they were before the request
+          });
         });
     };
     // XXXXXXXXXXXXX
     var goalDefQueryable = (goalDef)=>{return goalDef.prompt || goalDef.ask; }
 
     // console.log('--> Triggered Goal [_followGoals]: ' + goalName);
-    var p = null;
-    if (intentResolveCB)
-      p = resolveGoal(intentResolveCB, goalName, response);
-    else
-      p = Promise.resolve();
+    // repeating what was said is not a new turn, so goals cannot expire
+    var p = response.sameTurn ? Promise.resolve() : this._expireGoals(response);
+    if (intentResolveCB) {
+      // intents for a goal fall back to the goal's error handler
+      var intentGoalDef = goalName ? convo.convo.registeredGoals[goalName] : null;
+      var onError = intentOnError || (intentGoalDef && intentGoalDef.onError);
+      p = p.then(()=>{return resolveGoal(intentResolveCB, goalName, onError);});
+    }
 
-    var moreGoalsToSeek = true;
     var lastGoalWithState = null;
     var goalNdx = -1;
     if (convo.clearAlert) convo.clearAlert('{{unmetGoals}}');
 
     // the core goals loop - following all queued goals until no more
     return p.then(()=>{return utils.promiseWhile(
-      ()=>{return convo.outputMgr.asked<1 && moreGoalsToSeek == true;},
+      ()=>{return response.outputCtx.asked<1 && response.outputCtx.followGoals && moreGoalsToSeek == true;},
       ()=>{
         if (response.goalStateChanged) { // reset goal processing
           response.goalStateChanged = false;
@@ -335,7 +553,7 @@ class InputMgr {
         var tgtGoalDef = convo.convo.registeredGoals[goalWithState.key];
         lastGoalWithState = goalWithState;
         if (!tgtGoalDef) {
-          console.log('ERROR: Goal not defined - ' + goalWithState.key);
+          response.log.error('Goal not defined', {goal: goalWithState.key});
           moreGoalsToSeek=false;
           return Promise.resolve();
         }
@@ -344,51 +562,216 @@ class InputMgr {
         // console.log('--> registeredGoals: ', convo.convo.registeredGoals);
         // console.log('--> tgtGoalDef: ', tgtGoalDef);
         if (tgtGoalDef.resolve) {
-          return resolveGoal(tgtGoalDef.resolve, goalWithState.key, response);
+          return resolveGoal(tgtGoalDef.resolve, goalWithState.key, tgtGoalDef.onError);
         } else if (goalDefQueryable(tgtGoalDef) && goalWithState.queried) {
-          console.log(`Goal: ${goalWithState.key} -- already queried. Skipping`);
+          response.log.debug('Goal already queried - skipping', {goal: goalWithState.key});
         } else if (goalDefQueryable(tgtGoalDef) && !goalWithState.queried) {
           if (tgtGoalDef.prompt) {
-            convo.outputMgr.prompt(response, tgtGoalDef.prompt);
+            convo.outputMgr.prompt(response, tgtGoalDef.prompt, tgtGoalDef.reprompt);
           } else if (tgtGoalDef.ask) {
-            convo.outputMgr.ask(response, tgtGoalDef.ask);
+            convo.outputMgr.ask(response, tgtGoalDef.ask, tgtGoalDef.reprompt);
           } else {
           }
           goalWithState.queried = true;
           updateGoalState(goalNdx, goalWithState);
+          convo.events.emit('goal.queried', response.platReq, {goal: goalWithState.key});
         } else {
-          console.log(`*** Goal: ${goalWithState.key} -- does not have resolve or prompt`);
+          response.log.warn('Goal does not have resolve or prompt', {goal: goalWithState.key});
         }
         return Promise.resolve();
     })});
   };
 
+  // drops goals that have been on the stack for too long (based on their
+  // expiresAfterTurns/expiresAfterMs), giving them a chance to say something
+  _expireGoals(response) {
+    var convo = this.convoEngine;
+    var turn = convo.getTurn(response);
+    var now = Date.now();
+    var expiredGoals = [];
+    var goals = convo.getGoalStates(response);
+    // goals from sessions that were saved without when they were added (for
+    // example before the goal could expire) count as added now
+    var tracked = goals.filter(g=>{return convo._trackAdded(response, g);});
+    goals = goals.filter(goalWithState=>{
+      var goalDef = convo.convo.registeredGoals[goalWithState.key];
+      if (!goalDef) return true;
+      var expired = (goalDef.expiresAfterTurns && turn - goalWithState.addedTurn > goalDef.expiresAfterTurns) ||
+                    (goalDef.expiresAfterMs && now - goalWithState.addedAt > goalDef.expiresAfterMs);
+      if (expired) expiredGoals.push(goalWithState);
+      return !expired;
+    });
+    if (tracked.length > 0 || expiredGoals.length > 0) convo.setGoalStates(response, goals);
+    if (expiredGoals.length == 0) return Promise.resolve();
+
+    return Promise.map(expiredGoals, goalWithState=>{
+      response.log.info('Goal expired', {goal: goalWithState.key});
+      convo.events.emit('goal.cleared', response.platReq, {goal: goalWithState.key, reason: 'expired'});
+      var goalDef = convo.convo.registeredGoals[goalWithState.key];
+      if (goalDef.onExpire) return toPromise(goalDef.onExpire(response, goalWithState.args));
+    }, {concurrency:1});
+  }
+
+  // puts the goals back to how they were before the request and drops what
+  // was queued to be said, so that a failed resolve does not leave a half
+  // done turn behind
+  _rollback(response) {
+    var convo = this.convoEngine;
+    if (response.goalStatesBefore) convo.setGoalStates(response, response.goalStatesBefore);
+    var outputCtx = convo.outputMgr.newOutputCtx();
+    delete outputCtx.speaking;
+    delete outputCtx.startTime;
+    Object.assign(response.outputCtx, outputCtx);
+  }
+
+  _reportError(response, err, goalName) {
+    var errorMsg = err && err.message ? err.message : String(err);
+    response.errorReported = err;
+    response.log.error('Could not resolve the request', {intent: response.intentName, goal: goalName || undefined, error: err});
+    this.convoEngine.events.emit('error', response.platReq, {error: errorMsg, errorName: err && err.name, intent: response.intentName});
+  }
+
+  // gives an intent's or goal's onError handler a chance to recover (after
+  // rolling back), the error is handled unless the handler returns false
+  _recoverWith(onError, response, err, goalName) {
+    this._reportError(response, err, goalName);
+    this._rollback(response);
+    return toPromise(onError(err, response)).then((handled)=>{
+      if (handled === false) throw err;
+    });
+  }
+
+  // when nothing else has handled an error the script's error goal is met
+  // and otherwise the user is told that something went wrong
+  _recoverWithErrorGoal(response, err) {
+    var convo = this.convoEngine;
+    var errorGoal = convo.convo.errorGoal;
+    var errorGoalDef = errorGoal ? convo.convo.registeredGoals[errorGoal] : null;
+    if (!errorGoalDef) {
+      response.say(convo.convo.errorPhrases);
+      return Promise.resolve();
+    }
+    var goalArgs = {error: err && err.message ? err.message : String(err)};
+    return Promise.try(()=>{
+      // only the error goal is followed - other goals could fail again
+      if (errorGoalDef.resolve) return toPromise(errorGoalDef.resolve(response, goalArgs));
+      convo.addGoal(response, errorGoal, goalArgs);
+      return this._followGoals(response, null, null);
+    }).catch((goalErr)=>{
+      response.log.error('Could not meet the error goal', {goal: errorGoal, error: goalErr});
+      this._rollback(response);
+      response.say(convo.convo.errorPhrases);
+    });
+  }
+
   // this is what gets called every time a user says something
-  _processIntent(platReq, goalName, intentResolveCB) {
-    var response = new Response(this.convoEngine, platReq);
-    var outputMgr = this.convoEngine.outputMgr;
-    outputMgr.setSpeaking();
-    outputMgr.initialize();
-    return this._followGoals(response, goalName, intentResolveCB)
+  // intentDef - for its onError and sameTurn (set by intents, like repeat,
+  // that are not a new turn in the conversation); can be omitted
+  _processIntent(platReq, goalName, intentResolveCB, intentName, intentDef={}) {
+    var convo = this.convoEngine;
+    var response = new Response(convo, platReq);
+    var outputMgr = convo.outputMgr;
+    var middlewareMgr = convo.middlewareMgr;
+    var transcriptMgr = convo.transcriptMgr;
+    var goalsBefore = null;
+    response.intentName = intentName;
+    response.sameTurn = intentDef.sameTurn == true;
+    if (!response.sameTurn) convo.nextTurn(response);
+    outputMgr.setSpeaking(response);
+    return Promise.all([transcriptMgr.load(platReq, response), convo.stateMgr.load(platReq, response)])
       .then(()=>{
-        outputMgr.sendFromQueue(platReq);
-        outputMgr.initialize();       // clear buffers
-        outputMgr.clearSpeaking();
+        goalsBefore = convo.getGoalNames(response);
+        response.goalStatesBefore = convo.getGoalStates(response);
+        platReq.log.info('Intent matched', {intent: intentName, goal: goalName || undefined});
+        convo.events.emit('intent.matched', platReq, {intent: intentName, goal: goalName || undefined, turn: convo.getTurn(response)});
+        return middlewareMgr.beforeIntent(platReq, response, intentName);
+      })
+      .then((proceed)=>{
+        if (!proceed) return; // middleware has short-circuited the request
+        return this._followGoals(response, goalName, intentResolveCB, intentDef.onError)
+          .then(()=>{return middlewareMgr.afterResolve(platReq, response);});
+      })
+      .then(()=>{return outputMgr.whenRendered(response);})
+      .catch((err)=>{
+        // the user has already been asked to link their account
+        if (err instanceof AccountLinkingError || (err && err.cause instanceof AccountLinkingError)) return;
+        if (response.errorReported !== err) this._reportError(response, err);
+        this._rollback(response);
+        return middlewareMgr.onError(err, platReq, response).then((handled)=>{
+          if (!handled) return this._recoverWithErrorGoal(response, err);
+        }).then(()=>{return outputMgr.whenRendered(response);});
+      })
+      .then(()=>{
+        convo._saveResumable(response);
+        var outBuffer = outputMgr.sendFromQueue(platReq, response);
+        outputMgr.clearSpeaking(response);
+
+        // transcripts are stored - so they do not keep redacted values
+        var slots = {};
+        platReq.getSlots().forEach(slotName=>{slots[slotName] = platReq.getSlot(slotName);});
+        return transcriptMgr.record(platReq, response, {
+          turn: convo.getTurn(response),
+          intent: intentName,
+          slots: redact(slots),
+          goalsBefore: goalsBefore,
+          goalsAfter: convo.getGoalNames(response),
+          output: redactValues(outBuffer, slots)
+        }).then(()=>{return convo.stateMgr.save(platReq, response);});
       });
   };
 
+  // when the user says something that we did not understand, the most recent
+  // goal that we asked about gets to handle it (if it has a fallback) and
+  // otherwise the script's onUnrecognized handler
+  processUnrecognized(platReq) {
+    var convo = this.convoEngine;
+    return this._processIntent(platReq, null, (response)=>{
+      var goalNdx = 0;
+      var goalWithState = null;
+      while ((goalWithState = convo.mostRecentGoalStates(response, goalNdx)) != null) {
+        if (goalWithState.queried) break;
+        goalNdx++;
+      }
+      var goalDef = goalWithState ? convo.convo.registeredGoals[goalWithState.key] : null;
+      if (goalDef && goalDef.fallback)
+        return this._escalateFallback(response, goalNdx, goalWithState, goalDef);
+      if (convo.convo.unrecognizedResolve)
+        return convo.convo.unrecognizedResolve(response);
+      response.say(convo.convo.unrecognizedPhrases);
+    }, unrecognizedIntentName);
+  }
+
+  // first rephrase the goal's prompt, then give help and after too many
+  // retries give up on the goal
+  _escalateFallback(response, goalNdx, goalWithState, goalDef) {
+    var convo = this.convoEngine;
+    var fallback = goalDef.fallback;
+    var maxRetries = fallback.maxRetries || defaultMaxRetries;
+    var goalPrompt = goalDef.prompt || goalDef.ask;
+
+    goalWithState.retries = (goalWithState.retries || 0) + 1;
+    response.log.info('Goal not understood', {goal: goalWithState.key, retry: goalWithState.retries, maxRetries});
+    if (goalWithState.retries >= maxRetries) {
+      response.clearGoal(goalWithState.key);
+      if (fallback.giveUp) response.say(fallback.giveUp);
+      return;
+    }
+    convo.updateMostRecentGoalStates(response, goalNdx, goalWithState);
+    if (goalWithState.retries == 1)
+      convo.outputMgr.prompt(response, fallback.rephrase || goalPrompt, goalDef.reprompt);
+    else
+      convo.outputMgr.prompt(response, fallback.help || fallback.rephrase || goalPrompt);
+  }
+
   processAllIntents(platReq, idName, intentParams, intentDefArr) {
     // console.log(`--> Rcvd Input [processAllIntents]: ${idName} / Potential intents: ${intentDefArr.length}`)
     // setup - copy request variables to session variables
-    platReq.getSlots().forEach((slotName)=>{
-      console.log('store upgrade: requstSlots->sessionStore: ' + slotName);
-      platReq.getSession().set(slotName, platReq.getSlot(slotName));
-    });
+    this.convoEngine.stateMgr.copySlots(platReq);
 
     // call intent-callback
     if (intentDefArr.length==1) {
       // TODO ITERATE INTO METHOD TODO
-      return this._processIntent(platReq, intentDefArr[0].goal, intentDefArr[0].resolve);
+      return this._processIntent(platReq, intentDefArr[0].goal, intentDefArr[0].resolve, idName, intentDefArr[0]);
     }
     // pick right resolveCB from intentDefArr
     // TODO clearer definition of when a response is created & move away from 'new Response' below!
@@ -400,12 +783,15 @@ class InputMgr {
       for (var ndx2 = 0; ndx2 < intentDefArr.length; ndx2++) {
         var intentDef = intentDefArr[ndx2];
         if (intentDef.goal && intentDef.goal == currentGoalState.key) {
-          return this._processIntent(platReq, intentDef.goal, intentDef.resolve);
+          return this._processIntent(platReq, intentDef.goal, intentDef.resolve, idName, intentDef);
         }
       }
     }
-    console.log(`WARN: No perfect match response for: ${idName} intentDefArr.length: ${intentDefArr.length} utterances:`, intentParams["utterances"]);
-    return this._processIntent(platReq, intentDefArr[0].goal, intentDefArr[0].resolve);
+    // intents that are not for a goal are what the user can say at any time
+    // (built-in intents, like confirming, only make sense during their goal)
+    var fallbackDef = intentDefArr.find(intentDef=>{return !intentDef.goal;}) || intentDefArr[0];
+    platReq.log.warn('No perfect match response', {intent: idName, intentDefs: intentDefArr.length, utterances: intentParams["utterances"]});
+    return this._processIntent(platReq, fallbackDef.goal, fallbackDef.resolve, idName, fallbackDef);
   }
 
 }
@@ -413,7 +799,8 @@ class InputMgr {
 
 /*
  * Space sensitive js serialization only supporting array items (using ';') and
- * boolean flags being true (using ':')
+ * boolean flags being true (using ':'). Goals used to be stored in the session
+ * in this format, it is now only used to migrate older sessions.
  */
 class ShortJSON {
   static sjnToArr(str) {
@@ -421,7 +808,6 @@ class ShortJSON {
     if (str == '') return [];
     return str.split(';');
   }
-  static arrToSJN(arr) { return arr.join(';'); }
   static arrToArrObj(arr) {
     return arr.map(arrItem=>{
       var arrObj = {};
@@ -434,41 +820,6 @@ class ShortJSON {
       return arrObj;
     })
   }
-  static arrObjToArr(arrObj) {
-    return arrObj.map(arrObjItem=>{
-      var arrItem = arrObjItem.key;
-      Object.keys(arrObjItem).forEach(arrObjProp=>{
-        if (arrObjProp == 'key') return;
-        if (arrObjItem[arrObjProp]) arrItem += ':' + arrObjProp;
-      })
-      return arrItem;
-    })
-  }
-  static arrToArrObjKey(arr) {
-    return this.arrToArrObj(arr).map(i=>{return i.key;});
-  }
-  static arrPush(arr, str) {
-    // console.log(`||| arrPush -- sjnArr: ${arr} // str: ${str}`)
-    if (!arr)
-      return str;
-    else
-      return arr + ';' + str;
-  }
-  static inSJN(sjnArr, str) {
-    if (!sjnArr) sjnArr = '';
-    // console.log(`||| inSJN -- sjnArr: ${sjnArr} // str: ${str}`)
-    return (sjnArr.match(new RegExp(`\\b${str}\\b`)) != null);
-  }
-  // clears first object
-  static clearInSJN(sjnArr, str) {
-    // console.log(`clearInSJN -- sjnArr: ${sjnArr} // str: ${str}`)
-    if (!sjnArr) sjnArr = '';
-    return sjnArr
-            .replace(new RegExp(`\\b${str}(:[a-z]*)*\\b`),'') // remove as many goal attributes
-            .replace(/;;/,';')                                // cleanup
-            .replace(/;$/,'')
-            .replace(/^;/,'');
-  }
 }
 
 /**
@@ -479,6 +830,21 @@ class PlatformMgr {
     this.platforms = platformsCfg.map(pc=>{
       return new pc.platform(pc.endpoint);
     })
+    this.sessionMgr = null; // when sessions are kept on the server
+    this.platforms.forEach(p => {
+      p.setHandlerWrapper((cb)=>{return this._withSession(cb);});
+    });
+  }
+
+  setSessionMgr(sessionMgr) {
+    this.sessionMgr = sessionMgr;
+  }
+
+  _withSession(cb) {
+    return (platReq)=>{
+      if (!this.sessionMgr) return cb(platReq);
+      return this.sessionMgr.around(platReq, cb);
+    };
   }
 
   setServerApp(violetRouter) {
@@ -495,15 +861,19 @@ class PlatformMgr {
 
   onLaunch(cb) {
     this.platforms.forEach(p => {
-      p.onLaunch(cb);
+      p.onLaunch(this._withSession(cb));
+    });
+  }
+
+  onUnrecognized(cb) {
+    this.platforms.forEach(p => {
+      p.onUnrecognized(this._withSession(cb));
     });
   }
 
   regIntent(name, params, cb) {
     this.platforms.forEach(p => {
-      p.regIntent(name, params, (platReq)=>{
-        return cb(platReq);
-      });
+      p.regIntent(name, params, this._withSession(cb));
     });
   }
 
@@ -513,9 +883,32 @@ class PlatformMgr {
     });
   }
 
+  setDefaultLocale(locale) {
+    this.platforms.forEach(p => {
+      p.setDefaultLocale(locale);
+    });
+  }
+
 }
 
-const convoGoals = 'convoGoalState';
+const convoGoals = 'convoGoals';
+const legacyConvoGoals = 'convoGoalState'; // ShortJSON encoded goals from older sessions
+const convoTurn = 'convoTurn';
+const defaultMaxRetries = 3;
+// built-in goal for confirming what the user said before resolving an intent
+const confirmGoal = 'violetConfirm';
+const confirmYesPhrases = ['Yes', 'Yes please', 'That is right', 'Correct'];
+const confirmNoPhrases = ['No', 'No that is wrong', 'That is wrong'];
+const confirmDeniedPhrases = ['Okay, please say that again.'];
+// built-in goal for offering to continue what was not finished last time
+const resumeGoal = 'violetResume';
+const resumeKey = 'convoResume'; // in the user's profile
+const resumeYesPhrases = ['Yes', 'Yes please', 'Sure', 'Continue'];
+const resumeNoPhrases = ['No', 'No thanks', 'Start over'];
+const defaultResumePrompt = 'Last time we did not finish, do you want to continue?';
+// intent names given to middleware for requests that do not have a script intent
+const launchIntentName = 'launch';
+const unrecognizedIntentName = 'unrecognized';
 
 /**
  * The primary class for scripts to use to define how they
@@ -537,14 +930,18 @@ class ConversationEngine {
     this.appName = appName;
     this.platforms = new PlatformMgr(platforms);
 
+    this.validationOptions = {strict: false};
+    this.middlewareMgr = new MiddlewareMgr();
+    this.events = new EventMgr(appName);
+    this.transcriptMgr = new TranscriptMgr();
+    this.stateMgr = new StateMgr();
     this.inputMgr = new InputMgr(this);
-    this.outputMgr = new OutputMgr();
+    this.outputMgr = new OutputMgr(this.middlewareMgr, this.events);
 
     var convoEngine = this;
+    // the platform could not handle the request (and has logged why)
     this.platforms.onError(( exceptionMsg, platReq ) => {
-      console.log(requ);
-      console.log(resp);
-      this.outputMgr.sendFromQueue(platReq, null, 'Sorry an error occurred ' + exceptionMsg);
+      this.outputMgr.sendFromQueue(platReq, new Response(this, platReq), this.convo.errorPhrases);
     });
     this.platforms.onLaunch( function( platReq ) {
       return convoEngine.inputMgr._processIntent(platReq, null, (response)=>{
@@ -556,8 +953,12 @@ class ConversationEngine {
         //   console.log('User Info: ', platReq.getUserId());
         //   return;
         // }
+        if (convoEngine._offerResume(response)) return;
         response.say(convoEngine.convo.launchPhrases);
-      });
+      }, launchIntentName);
+    });
+    this.platforms.onUnrecognized( function( platReq ) {
+      return convoEngine.inputMgr.processUnrecognized(platReq);
     });
 
 
@@ -572,12 +973,23 @@ class ConversationEngine {
     // variable names and their types
     this.convo.keyTypes = {};
 
+    // locale of what is expected and said when not given per-locale
+    this.convo.defaultLocale = 'en-US';
+
     this.convo.registeredGoals = {};
     // this.goalsToMeet = []; // changing implmenetation to be a session variable
     this.convo.topLevelGoals = [];
 
     this.convo.launchPhrases = ['Yes. How can I help?', 'Hey. Need me?', 'Yup. I am here.'];
     this.convo.closeRequests = ['I am good', 'No I am good', 'Thanks', 'Thank you'];
+    this.convo.repeatRequests = ['Say that again', 'Repeat that', 'Can you repeat that', 'Pardon'];
+    this.convo.unrecognizedPhrases = ['Sorry, I did not understand that.'];
+    this.convo.accountLinkingPhrases = ['Please link your account in the companion app and then try again.'];
+    this.convo.errorPhrases = ['Sorry, something went wrong. Please try again.'];
+    this.convo.errorGoal = null;
+    // intents that need to be confirmed before being resolved (as referred to by the confirm goal)
+    this.convo.confirmIntents = [];
+    this.convo.unrecognizedResolve = null;
 
     // userSpeechDef looks like {
     //      userSpeechItem1: [intentDef1, ...]
@@ -592,55 +1004,111 @@ class ConversationEngine {
     //     ...]
     this.convo.allIntents = [];
 
+    // names of intents registered with the platforms
+    this.intentNames = {};
+    this.localizedIntentDefs = [];
+
     this.flowScriptDoc = null;
     this.scriptModels = {};
   }
 
 
-  // optimizations taking advantage of ShortJSON
+  // goals are stored in the session as an array of {key, args, queried}
+  // objects with the most recent goal last
   _getGoalsRaw(response) {
-    return response.get(convoGoals);
+    var goals = response.get(convoGoals);
+    if (goals == undefined && response.contains(legacyConvoGoals)) {
+      goals = ShortJSON.arrToArrObj(ShortJSON.sjnToArr(response.get(legacyConvoGoals)));
+      response.set(convoGoals, goals);
+      response.clear(legacyConvoGoals);
+    }
+    if (!Array.isArray(goals)) return [];
+    return goals;
   }
   getGoalNames(response) {
-    return ShortJSON.arrToArrObjKey(ShortJSON.sjnToArr(this._getGoalsRaw(response)));
+    return this._getGoalsRaw(response).map(g=>{return g.key;});
   }
   getGoalStates(response) {
-    return ShortJSON.arrToArrObj(ShortJSON.sjnToArr(this._getGoalsRaw(response)));
+    // copy so that callers can modify goal states without changing the session
+    return this._getGoalsRaw(response).map(g=>{return Object.assign({}, g);});
   }
   setGoalStates(response, goalObjsArr) {
-    response.set(convoGoals, ShortJSON.arrToSJN(ShortJSON.arrObjToArr(goalObjsArr)));
+    response.set(convoGoals, goalObjsArr);
+  }
+  appendGoal(response, goalName, goalArgs) {
+    var goals = this.getGoalStates(response);
+    var goalObj = {key: goalName};
+    if (goalArgs != undefined) goalObj.args = goalArgs;
+    this._trackAdded(response, goalObj);
+    goals.push(goalObj);
+    this.setGoalStates(response, goals);
   }
-  appendGoal(response, goalName) {
-    var sjnArr = this._getGoalsRaw(response);
-    response.set(convoGoals, ShortJSON.arrPush(sjnArr, goalName));
+  // tracks when the goal was added (only when needed to expire it, to keep the
+  // session small) unless it already is - returns true if the goal changed
+  _trackAdded(response, goalObj) {
+    var goalDef = this.convo.registeredGoals[goalObj.key];
+    if (!goalDef) return false;
+    var changed = false;
+    if (goalDef.expiresAfterTurns && goalObj.addedTurn == undefined) {
+      goalObj.addedTurn = this.getTurn(response);
+      changed = true;
+    }
+    if (goalDef.expiresAfterMs && goalObj.addedAt == undefined) {
+      goalObj.addedAt = Date.now();
+      changed = true;
+    }
+    return changed;
   }
+  // clears the most recent goal with the given name
   clearGoal(response, goalName) {
-    console.log('--> Clearing Goal: ' + goalName);
+    response.log.debug('Clearing goal', {goal: goalName});
     if (!goalName) return; // no need to check when we are not clearing anything
-    var curGoals = this._getGoalsRaw(response);
-    if (!curGoals) curGoals = '';
-    var updatedGoals = ShortJSON.clearInSJN(curGoals, goalName);
-    if (curGoals.length == updatedGoals.length)
-      console.log('\t Goal Not Found');
-    else
-      response.set(convoGoals, updatedGoals);
+    var goals = this.getGoalStates(response);
+    var goalNdx = goals.map(g=>{return g.key;}).lastIndexOf(goalName);
+    if (goalNdx == -1) {
+      response.log.debug('Goal not found', {goal: goalName});
+      return;
+    }
+    goals.splice(goalNdx, 1);
+    this.setGoalStates(response, goals);
+    this.events.emit('goal.cleared', response.platReq, {goal: goalName});
   };
   hasGoal(response, goalName) {
-    console.log('--> Checking goal: ' + goalName);
-    return ShortJSON.inSJN(this._getGoalsRaw(response), goalName);
+    response.log.debug('Checking goal', {goal: goalName});
+    return this.getGoalNames(response).indexOf(goalName) != -1;
   };
+  // returns the args of the most recent goal with the given name
+  getGoalArgs(response, goalName) {
+    var goals = this._getGoalsRaw(response);
+    for (var ndx = goals.length-1; ndx >= 0; ndx--) {
+      if (goals[ndx].key == goalName) return goals[ndx].args;
+    }
+    return undefined;
+  }
+
+  // number of requests in this session - used for expiring goals
+  getTurn(response) {
+    return response.get(convoTurn) || 0;
+  }
+  nextTurn(response) {
+    response.set(convoTurn, this.getTurn(response) + 1);
+  }
 
   getAppName() {
     return this.appName;
   }
-  addGoal(response, goalName) {
-    console.log('--> Adding Goal: ' + goalName);
-    this.appendGoal(response, goalName);
-    if (!this.outputMgr.isSpeaking()) {
+  addGoal(response, goalName, goalArgs) {
+    response.log.info('Adding goal', {goal: goalName});
+    this.appendGoal(response, goalName, goalArgs);
+    this.events.emit('goal.added', response.platReq, {goal: goalName});
+    if (!this.outputMgr.isSpeaking(response)) {
       if (this.setAlert) this.setAlert('{{unmetGoals}}');
     }
   };
   clearAllGoals(response) {
+    this.getGoalNames(response).forEach(goalName=>{
+      this.events.emit('goal.cleared', response.platReq, {goal: goalName});
+    });
     this.setGoalStates(response, []);
   };
   // a LIFO queue
@@ -648,7 +1116,7 @@ class ConversationEngine {
     return topInArr(this.getGoalStates(response), goalNdx);
   }
   updateMostRecentGoalStates(response, goalNdx, goalWithState) {
-    console.log(`--> Updating Goal[${goalNdx}]:  ${goalWithState.key} `, goalWithState);
+    response.log.debug('Updating goal', {goalNdx, goal: goalWithState.key, goalState: goalWithState});
     var goals = this.getGoalStates(response);
     if (updateArr(goals, goalNdx, goalWithState)) {
       this.setGoalStates(response, goals);
@@ -656,16 +1124,28 @@ class ConversationEngine {
   }
   // experimental
   addTopLevelGoal(response, goal) {
-    console.log('--> TL Goal added: ' + goal);
+    log.debug('Top level goal added', {goal});
     this.convo.topLevelGoals.push(goal);
   };
 
   addFlowScript(script, models) {
-    if (this.flowScriptDoc) console.log('Currently only single flow script is supported');
+    if (this.flowScriptDoc) log.warn('Currently only single flow script is supported');
     this.flowScriptDoc = cheerio.load(script, {xml: {withDomLvl1: false}});
     this.scriptModels = models
   }
 
+  /**
+   * Sets the locale that phrases are in when they are not given per-locale,
+   * for example when `expecting` is an array of strings. This is also the
+   * locale used when the platform does not tell us the locale of the user.
+   *
+   * @param {string} locale - for example 'en-US' (the default) or 'de-DE'
+   */
+  setDefaultLocale(locale) {
+    this.convo.defaultLocale = locale;
+    this.platforms.setDefaultLocale(locale);
+  }
+
   /**
    * Override the default launch phrases. Parameter is used directly
    * with the response.say() function when Alexa launches this app
@@ -676,6 +1156,43 @@ class ConversationEngine {
     this.convo.launchPhrases = phrases;
   }
 
+  /**
+   * Override what is said when the user needs to link their account, i.e.
+   * when a store that acts on behalf of the user (for example violetStoreSF
+   * with perUser) is used and the user has not linked their account. The
+   * platform is also asked to prompt the user to link their account and the
+   * conversation is ended.
+   *
+   * @param {string[]} phrases - response or array of potential responses
+   */
+  setAccountLinkingPhrases(phrases) {
+    this.convo.accountLinkingPhrases = phrases;
+  }
+
+  /**
+   * Override what is said when resolving a request fails and the error has
+   * not been handled by the intent's or goal's `onError` handler, by
+   * middleware or by the error goal (see setErrorGoal).
+   *
+   * @param {string[]} phrases - response or array of potential responses
+   */
+  setErrorPhrases(phrases) {
+    this.convo.errorPhrases = phrases;
+  }
+
+  /**
+   * Sets the goal that is met when resolving a request fails and the error
+   * has not been handled by the intent's or goal's `onError` handler or by
+   * middleware. The goal gets `error` (the error message) as an argument and
+   * is the only goal followed - the other goals are rolled back to how they
+   * were before the request.
+   *
+   * @param {string} goalName - the error goal (defined via defineGoal)
+   */
+  setErrorGoal(goalName) {
+    this.convo.errorGoal = goalName;
+  }
+
   /**
    * Override the default phrases to close the session.
    *
@@ -685,23 +1202,73 @@ class ConversationEngine {
     this.convo.closeRequests = phrases;
   }
 
+  /**
+   * Defines what should happen when the user says something that does not
+   * match any of the intents in the script. Goals that have a *fallback* get
+   * to handle this first, when they have been prompted for.
+   *
+   * @example
+   * violet.onUnrecognized((response) => {
+   *   response.say('Sorry, I can only help you with your flights');
+   * });
+   * @param {resolveCallback} resolve - callback when the user is not understood
+   */
+  onUnrecognized(resolve) {
+    this.convo.unrecognizedResolve = resolve;
+  }
+
+  // explicitly provided names are used as is, otherwise a name is generated
+  // (and made longer if it is already in use)
+  _nameIntent(userSpeech, intentDefArr) {
+    var namedDef = intentDefArr.find(intentDef=>{return intentDef.name!=undefined;});
+    if (namedDef) return namedDef.name;
+
+    var goals = intentDefArr.map(intentDef=>{return intentDef.goal || null;}).sort();
+    for (var nameLen = 8; nameLen <= 40; nameLen += 8) {
+      var idName = _genIntentName(userSpeech, goals, nameLen);
+      if (!this.intentNames[idName]) {
+        this.intentNames[idName] = true;
+        return idName;
+      }
+      log.warn('Intent name is already in use - trying a longer name', {intent: idName, userSpeech: userSpeech[0]});
+    }
+    throw new Error(`Could not generate a unique intent name for '${userSpeech[0]}' - please provide a name`);
+  }
+
+  // utterances in other locales - for intents that were given a map of
+  // locale:expecting (these are registered with the first of the intents'
+  // user speech items that is registered)
+  _localeUtterances(intentDefArr) {
+    var localeUtterances = {};
+    intentDefArr.forEach(intentDef=>{
+      if (!intentDef.localeExpecting || this.localizedIntentDefs.indexOf(intentDef) != -1) return;
+      this.localizedIntentDefs.push(intentDef);
+      Object.keys(intentDef.localeExpecting).forEach(locale=>{
+        if (locale == 'default') return;
+        var userSpeech = [].concat(intentDef.localeExpecting[locale]);
+        userSpeech = ScriptParser.forPunctuation(userSpeech, locale);
+        userSpeech = ScriptParser.forSlots(this.convo.keyTypes, userSpeech);
+        localeUtterances[locale] = (localeUtterances[locale] || []).concat(userSpeech);
+      });
+    });
+    return localeUtterances;
+  }
+
   _registerIntentDef(userSpeech, intentDefArr) {
-    userSpeech = ScriptParser.forPunctuation(userSpeech);
+    var idName = this._nameIntent(userSpeech, intentDefArr);
+    userSpeech = ScriptParser.forPunctuation(userSpeech, this.convo.defaultLocale);
     userSpeech = ScriptParser.forSlots(this.convo.keyTypes, userSpeech);
     userSpeech = ScriptParser.forPhraseEquivalents(this.convo.phraseEquivalents, userSpeech);
     var intentParams = {};
     intentParams["utterances"] = userSpeech;
-    let expectedParams = ScriptParser.extractParamsFromSpeech(this.convo.keyTypes, userSpeech);
+    var localeUtterances = this._localeUtterances(intentDefArr);
+    if (Object.keys(localeUtterances).length > 0)
+      intentParams["localeUtterances"] = localeUtterances;
+    var allUtterances = Object.keys(localeUtterances).reduce((all, locale)=>{return all.concat(localeUtterances[locale]);}, userSpeech);
+    let expectedParams = ScriptParser.extractParamsFromSpeech(this.convo.keyTypes, allUtterances);
     if (Object.keys(expectedParams).length > 0)
       intentParams["slots"] = expectedParams;
 
-    var idName = undefined;
-    for (var idNdx = 0; idNdx < intentDefArr.length; idNdx++) {
-      idName = intentDefArr[idNdx].name;
-      if (idName!=undefined) break;
-    }
-    if (idName==undefined) idName = _genIntentName();
-
     this.platforms.regIntent(idName, intentParams, (platReq) => {
       return this.inputMgr.processAllIntents(platReq, idName, intentParams, intentDefArr);
     });
@@ -717,7 +1284,15 @@ class ConversationEngine {
   }
   _registerIntents({allIntents, userSpeechDef, registeredGoals, keyTypes}) {
     var keyNum = o => {return Object.keys(o).length;}
-    console.log(`Registering ${allIntents.length} intents with ${keyNum(userSpeechDef)} userSpeechItems, ${keyNum(keyTypes)} inputTypes  and ${keyNum(registeredGoals)} goals.`);
+    log.info('Registering intents', {app: this.appName, intents: allIntents.length, userSpeechItems: keyNum(userSpeechDef), inputTypes: keyNum(keyTypes), goals: keyNum(registeredGoals)});
+    // reserve the explicitly provided names so that generated names do not use them
+    this.intentNames = {};
+    this.localizedIntentDefs = [];
+    for (let userSpeechItem in userSpeechDef) {
+      userSpeechDef[userSpeechItem].forEach(intentDef=>{
+        if (intentDef.name) this.intentNames[intentDef.name] = true;
+      });
+    }
     // first pass for everything but globalIntents
     for (let intentsUserSpeech of allIntents) {
       // let phraseOptions = globalIntents[phrase];
@@ -808,12 +1383,183 @@ class ConversationEngine {
     });
   }
 
-  setPersistentStore(_persistentStore) {this.persistentStore = _persistentStore}
+  /**
+   * Adds middleware that runs around the processing of every request - for
+   * example to log, check authorization or rewrite the output. Each of the
+   * hooks is optional and all but beforeSend can return a promise.
+   *
+   * @example
+   * violet.use({
+   *   beforeIntent: (platReq, response, intentName) => {
+   *     if (!authorized(platReq.getUserId())) {
+   *       response.say('Sorry, you are not authorized');
+   *       return false; // skip the intent and any goals
+   *     }
+   *   },
+   *   beforeSend: (platReq, response, outBuffer) => {
+   *     return outBuffer.replace(/Salesforce/g, 'Sales force');
+   *   }
+   * });
+   * @param {Object} middleware - middleware definition
+   * @param {Function} middleware.beforeIntent - called with (platReq, response, intentName) before the intent is resolved; returning false short-circuits the request (the intentName is 'launch' or 'unrecognized' when there is no script intent)
+   * @param {Function} middleware.afterResolve - called with (platReq, response) after the intent and any goals have been resolved
+   * @param {Function} middleware.beforeSend - called synchronously with (platReq, response, outBuffer) before the output is sent; returning a string replaces the output
+   * @param {Function} middleware.onError - called with (err, platReq, response) when resolving fails; returning true marks the error as handled and the response is sent
+   */
+  use(middleware) {
+    this.middlewareMgr.use(middleware);
+  }
+
+  setPersistentStore(_persistentStore) {
+    this.persistentStore = _persistentStore;
+    if (_persistentStore && _persistentStore.setEventMgr) _persistentStore.setEventMgr(this.events);
+  }
+
+  /**
+   * Adds a sink for the events of the conversation (see the
+   * {@link module:events events} module for the events) - for example to
+   * analyze conversations offline.
+   *
+   * @example
+   * var JsonlFileSink = require('violet/lib/events.js').JsonlFileSink;
+   * violet.addEventSink(new JsonlFileSink('events.jsonl'));
+   * violet.addEventSink((event) => {
+   *   if (event.type == 'error') alertOps(event);
+   * });
+   * @param {Object} sink - a function that is called with each event or an
+   *   object with a write(event) method
+   */
+  addEventSink(sink) {
+    this.events.addSink(sink);
+  }
 
   setSpokenRate(_rate) {
     this.outputMgr.spokenRate = _rate;
   }
 
+  /**
+   * Configures the transcript of each session that is available to scripts
+   * via {@link module:response~Response#history response.history()}.
+   *
+   * @param {Object} options - transcript options
+   * @param {number} options.maxTurns - (default 5) number of most recent turns
+   *   kept, 0 turns off the transcript
+   * @param {number} options.maxSessionSize - (default 2000) characters of JSON
+   *   after which the transcript is moved out of the session into the store
+   * @param {Object} options.store - server-side store (with get(sessionId) and
+   *   set(sessionId, entries) methods returning promises) for large
+   *   transcripts, by default transcripts are kept in memory
+   */
+  setTranscriptOptions(options) {
+    this.transcriptMgr.setOptions(options);
+  }
+
+  /**
+   * Declares variables that the script keeps. Values are coerced to the
+   * declared type when they are set (and slots are copied in), variables that
+   * have not been set return their default and values are kept for the
+   * declared scope. Setting a value that cannot be coerced throws a StateError.
+   *
+   * @example
+   * violet.defineState({
+   *   caseNumber: {type: 'string'},
+   *   retries: {type: 'number', default: 0, scope: 'turn'},
+   *   favoriteColor: {type: 'string', scope: 'user'}
+   * });
+   * @param {Object} defs - map of variable names to their declaration
+   * @param {string} [defs.type] - (default 'string') one of 'string', 'number',
+   *   'boolean', 'date' (kept as an ISO string), 'list' or 'object'
+   * @param {Object} [defs.default] - value when the variable has not been set
+   * @param {string} [defs.scope] - (default 'session') 'session' for the
+   *   conversation, 'user' across conversations or 'turn' for the request
+   */
+  defineState(defs) {
+    this.stateMgr.define(defs);
+  }
+
+  /**
+   * Sets where user profiles (i.e. {@link module:response~Response#user response.user}
+   * and variables declared with a `user` scope) are kept. By default they are
+   * kept in memory.
+   *
+   * @example
+   * var userProfile = require('violet/lib/userProfile.js');
+   * violet.setUserProfileStore(new userProfile.FileProfileStore('profiles.json'));
+   * // or in Postgres
+   * var violetStorePG = require('violet/lib/violetStorePG.js')(violet);
+   * violet.setUserProfileStore(violetStorePG.profileStore());
+   * @param {Object} store - store with get(userId) and set(userId, profile)
+   *   methods that return promises, see the
+   *   {@link module:userProfile userProfile} module
+   */
+  setUserProfileStore(store) {
+    this.stateMgr.setUserStore(store);
+  }
+
+  /**
+   * Keeps conversation state on the server (keyed by the session id) instead
+   * of in the platform's session - only a reference to it is sent to the
+   * platform. By default state is kept in the platform's session.
+   *
+   * @example
+   * var serverSession = require('violet/lib/serverSession.js');
+   * violet.setSessionStore(new serverSession.MemorySessionStore(), {idleTimeout: 10*60*1000});
+   * // or in Postgres
+   * var violetStorePG = require('violet/lib/violetStorePG.js')(violet);
+   * violet.setSessionStore(violetStorePG.sessionStore());
+   * @param {Object} store - store with get(sessionId, idleTimeout),
+   *   set(sessionId, attributes, idleTimeout) and delete(sessionId) methods
+   *   that return promises (or null to keep state in the platform's session),
+   *   see the {@link module:serverSession serverSession} module
+   * @param {Object} [options]
+   * @param {number} [options.idleTimeout] - (default 30 minutes) milliseconds
+   *   after which sessions that have not been used expire
+   */
+  setSessionStore(store, options) {
+    this.platforms.setSessionMgr(store ? new ServerSessionMgr(store, options) : null);
+  }
+
+  /**
+   * Returns the declared variables, i.e. what was given to
+   * {@link module:conversationEngine~ConversationEngine#defineState defineState}
+   *
+   * @returns {Object[]} name, type, scope and default of each variable
+   */
+  getStateShape() {
+    return this.stateMgr.describe();
+  }
+
+  /**
+   * Sets how Violet picks a response when an array of potential responses is
+   * provided (for example to say, prompt or ask).
+   *
+   * @example
+   * violet.setVariantSelection('noRepeat');
+   * violet.setVariantSelection('seeded', {seed: 42}); // for reproducible tests
+   * @param {string} strategy - one of 'random' (the default), 'noRepeat'
+   *   (does not pick the same response twice in a row in a session),
+   *   'roundRobin' or 'seeded'
+   * @param {Object} [options] - for the 'seeded' strategy a `seed` number
+   */
+  setVariantSelection(strategy, options) {
+    this.outputMgr.setVariantSelection(strategy, options);
+  }
+
+  /**
+   * Sets how scripts are validated when intents are registered. By default
+   * issues found are only logged.
+   *
+   * @example
+   * violet.setValidationOptions({strict: true});
+   * @param {Object} options
+   * @param {boolean} options.strict - when true registering intents fails (by
+   *   throwing) if the script has errors like undefined goals or undeclared
+   *   variables; goals that are never added are only warned about
+   */
+  setValidationOptions({strict}) {
+    if (strict != undefined) this.validationOptions.strict = strict;
+  }
+
   /**
    * Defines what should happen when a goal is triggered (by calling the
    * {@link module:response~Response#addGoal addGoal} method). Goals allow for
@@ -872,10 +1618,24 @@ class ConversationEngine {
    * @param {resolveCallback} goalDef.resolve - callback when the goal is triggered (required unless prompt or ask have been provided)
    * @param {string} goalDef.prompt - string to prompt the user (usually for information) when the goal has been triggered
    * @param {string} goalDef.ask - similar to prompt, except that user can be prompted multiple items, but asked only one question at a time
+   * @param {string} goalDef.reprompt - (optional) what to say if the user does not respond to the prompt or ask (by default the prompt or ask is repeated)
+   * @param {Object} goalDef.fallback - (optional) how to recover when the user says something that is not understood after being prompted for this goal
+   * @param {string} goalDef.fallback.rephrase - said the first time the user is not understood (defaults to the prompt)
+   * @param {string} goalDef.fallback.help - said on later times that the user is not understood (defaults to the rephrased prompt)
+   * @param {number} goalDef.fallback.maxRetries - (default 3) number of times the user is not understood after which the goal is cleared
+   * @param {string} goalDef.fallback.giveUp - (optional) said when the goal is cleared
    * @param {Object[]} goalDef.respondTo - array of intents than can be triggered only after this goal has been triggered - for details see the {@link module:conversationEngine~ConversationEngine#respondTo respondTo} method (required if prompt or ask have been provided)
+   * @param {number} goalDef.expiresAfterTurns - (optional) number of user requests after which the goal is dropped if it still has not been met
+   * @param {number} goalDef.expiresAfterMs - (optional) milliseconds after which the goal is dropped if it still has not been met
+   * @param {resolveCallback} goalDef.onExpire - (optional) callback when the goal has been dropped for being stale, for example to tell the user
+   * @param {errorCallback} goalDef.onError - (optional) callback when resolve (or the resolve of an intent nested in this goal) fails
+   * @param {Object} goalDef.resume - (optional) when the session ends before this goal is met, the next time the user launches the app they are offered to continue - can be `true` or an object with:
+   * @param {string[]} goalDef.resume.variables - (optional) variables that are restored when continuing, for example the case being updated
+   * @param {string} goalDef.resume.prompt - (optional) offer to continue, for example "Last time we were updating case [[caseNumber]], do you want to continue?"
    */
   defineGoal(goalObj) {
     this.convo.registeredGoals[goalObj.goal] = goalObj;
+    if (goalObj.resume && !this.convo.registeredGoals[resumeGoal]) this._defineResumeGoal();
 
     // register nested intents
     if (goalObj.respondTo) {
@@ -887,12 +1647,180 @@ class ConversationEngine {
   }
 
 
+  // wraps the intent's resolve so that slots are validated and the user is
+  // asked to confirm before the original resolve is called
+  _addValidationAndConfirm(intentDef) {
+    var resolve = intentDef.resolve;
+    var validate = intentDef.validate || {};
+    var confirmId = null;
+    if (intentDef.confirm) {
+      if (this.convo.confirmIntents.length == 0) this._defineConfirmGoal();
+      confirmId = this.convo.confirmIntents.length;
+      this.convo.confirmIntents.push({intentDef, resolve});
+    }
+
+    intentDef.resolve = (response, goalArgs) => {
+      for (let slotName of Object.keys(validate)) {
+        var validator = validate[slotName];
+        var check = (typeof validator == 'function') ? validator : validator.check;
+        if (check(response.get(slotName))) continue;
+        response.log.info('Slot not valid', {slot: slotName, slots: {[slotName]: response.get(slotName)}});
+        response.clear(slotName);
+        response.say(validator.prompt || `Sorry, that is not a valid ${slotName}. Please try again.`);
+        return false; // intent not resolved (keeps the goal it is in)
+      }
+      if (confirmId != null) {
+        // the slots said with the intent are cleared if the user does not confirm
+        response.addGoal(confirmGoal, {id: confirmId, slots: response.platReq.getSlots()});
+        return false; // intent resolved after confirmation
+      }
+      return resolve(response, goalArgs);
+    };
+    intentDef.resolve.wrapped = resolve; // so that the script can still be validated
+  }
+
+  _defineConfirmGoal() {
+    var convoEngine = this;
+    var confirmIntent = (args) => {return convoEngine.convo.confirmIntents[args.id];};
+    this.defineGoal({
+      goal: confirmGoal,
+      resolve: (response, args) => {
+        response.ask(confirmIntent(args).intentDef.confirm);
+        return false; // we are waiting for a yes or no
+      },
+      respondTo: [{
+        expecting: confirmYesPhrases,
+        resolve: (response, args) => {
+          if (!args) return;
+          var {intentDef, resolve} = confirmIntent(args);
+          return toPromise(resolve(response, response.getGoalArgs(intentDef.goal))).then((result)=>{
+            if ((result==true || result==undefined) && intentDef.goal) response.clearGoal(intentDef.goal);
+          });
+      }}, {
+        expecting: confirmNoPhrases,
+        resolve: (response, args) => {
+          if (!args) return;
+          args.slots.forEach(slotName=>{response.clear(slotName);});
+          response.say(confirmDeniedPhrases);
+      }}]
+    });
+  }
+
+  _resumeDef(goalName) {
+    var goalDef = this.convo.registeredGoals[goalName];
+    if (!goalDef || !goalDef.resume) return null;
+    return (goalDef.resume === true) ? {} : goalDef.resume;
+  }
+
+  // called at the end of every request (as sessions can end without us being
+  // told) - keeps the goals and their variables in the user's profile while
+  // there are unmet resumable goals
+  _saveResumable(response) {
+    if (!this.convo.registeredGoals[resumeGoal] || this.hasGoal(response, resumeGoal)) return;
+    var goals = this.getGoalStates(response);
+    var resumable = goals.filter(g=>{return this._resumeDef(g.key);});
+    var saved = response.user.get(resumeKey);
+    if (resumable.length == 0) {
+      if (saved) response.user.clear(resumeKey);
+      return;
+    }
+    var variables = {};
+    resumable.forEach(g=>{
+      (this._resumeDef(g.key).variables || []).forEach(varName=>{variables[varName] = response.get(varName);});
+    });
+    var toSave = {goals, variables, goal: resumable[resumable.length-1].key};
+    if (JSON.stringify(saved) != JSON.stringify(toSave)) response.user.set(resumeKey, toSave);
+  }
+
+  // returns true if the user has been asked to continue from last time
+  _offerResume(response) {
+    var saved = response.user.get(resumeKey);
+    if (!saved || !this.convo.registeredGoals[resumeGoal]) return false;
+    // what was saved is kept until the user answers
+    Object.keys(saved.variables).forEach(varName=>{response.set(varName, saved.variables[varName]);});
+    response.addGoal(resumeGoal, {goal: saved.goal, goals: saved.goals, variables: Object.keys(saved.variables)});
+    return true;
+  }
+
+  _defineResumeGoal() {
+    var convoEngine = this;
+    this.defineGoal({
+      goal: resumeGoal,
+      resolve: (response, args) => {
+        var resumeDef = convoEngine._resumeDef(args.goal) || {};
+        response.ask(resumeDef.prompt || defaultResumePrompt);
+        return false; // we are waiting for a yes or no
+      },
+      respondTo: [{
+        expecting: resumeYesPhrases,
+        resolve: (response, args) => {
+          if (!args) return;
+          // the most recent goal is asked about again and goals expire as if just added
+          var restored = args.goals.map((g, ndx)=>{
+            var goal = {key: g.key};
+            if (g.args != undefined) goal.args = g.args;
+            if (g.queried && ndx < args.goals.length-1) goal.queried = true;
+            convoEngine._trackAdded(response, goal);
+            return goal;
+          });
+          // the resume goal is cleared once this returns - leaving what was saved
+          convoEngine.setGoalStates(response, restored.concat(convoEngine.getGoalStates(response)));
+      }}, {
+        expecting: resumeNoPhrases,
+        resolve: (response, args) => {
+          if (!args) return;
+          args.variables.forEach(varName=>{response.clear(varName);});
+          response.user.clear(resumeKey);
+          response.say(convoEngine.convo.launchPhrases);
+      }}]
+    });
+  }
+
+  _removeBuiltInIntent(name) {
+    var builtInDef = null;
+    Object.keys(this.convo.userSpeechDef).forEach(userSpeechItem=>{
+      var intentDefArr = this.convo.userSpeechDef[userSpeechItem];
+      intentDefArr.forEach(intentDef=>{
+        if (intentDef.builtIn && intentDef.name == name) builtInDef = intentDef;
+      });
+      this.convo.userSpeechDef[userSpeechItem] = intentDefArr.filter(intentDef=>{return intentDef != builtInDef;});
+      if (this.convo.userSpeechDef[userSpeechItem].length == 0) delete this.convo.userSpeechDef[userSpeechItem];
+    });
+    if (builtInDef)
+      this.convo.allIntents = this.convo.allIntents.filter(expecting=>{return expecting != builtInDef.expecting;});
+  }
+
   getIntentsDef() {
     return this._getIntentsDef();
   }
 
+  /**
+   * Checks the script for goals that are used but not defined, variables in
+   * what users say that do not have an input type, goals that are never added
+   * and goals whose prompts cannot be answered. This is done automatically
+   * when intents are registered.
+   *
+   * @returns {Object[]} issues found, each with a `severity` ('error' or
+   *  'warning'), a `type` and a `message`
+   */
+  validateScript() {
+    var issues = ScriptValidator.validate(this.convo, {
+      internalGoals: [confirmGoal, resumeGoal].concat(this.convo.errorGoal ? [this.convo.errorGoal] : []),
+      // goals in flow scripts are added by their ids as they are reached
+      checkReachability: this.flowScriptDoc == null
+    });
+    issues.forEach(issue=>{
+      log[issue.severity == 'error' ? 'error' : 'warn'](issue.message, {app: this.appName});
+    });
+    var errors = issues.filter(issue=>{return issue.severity == 'error';});
+    if (this.validationOptions.strict && errors.length > 0)
+      throw new Error(`Script has ${errors.length} error(s): ` + errors.map(e=>{return e.message;}).join('; '));
+    return issues;
+  }
+
   registerIntents() {
     if (this.flowScriptDoc) FlowScriptCompiler.compile(this.flowScriptDoc, this.scriptModels, this);
+    this.validateScript();
     this._registerIntents(this._getIntentsDef());
   }
 
@@ -902,6 +1830,20 @@ class ConversationEngine {
    *
    * @callback resolveCallback
    * @param {Object} response - The response object
+   * @param {Object} [goalArgs] - when resolving a goal (or an intent nested in
+   *  a goal) the data given to {@link module:response~Response#addGoal addGoal}
+   */
+
+  /**
+   * Called when resolving an intent or a goal fails - the goals have been
+   * rolled back to how they were before the request and nothing has been said
+   * yet. Unless the callback returns false the error is treated as handled,
+   * otherwise middleware and then the error goal (see setErrorGoal) get a
+   * chance to handle it.
+   *
+   * @callback errorCallback
+   * @param {Error} err - what went wrong
+   * @param {Object} response - The response object
    */
 
   /**
@@ -911,6 +1853,14 @@ class ConversationEngine {
    *  (response) => {
    *    response.say('Hi');
    *  });
+   * @example <caption>validating and confirming what the user said</caption>
+   * violet.respondTo({
+   *    expecting: 'My age is [[age]]',
+   *    validate: {age: v => v > 0 && v < 130},
+   *    confirm: 'You said [[age]], right?',
+   *    resolve: (response) => {
+   *     response.say('I will remember that you are [[age]]')
+   * }});
    * @example <caption>using most of the parameters</caption>
    * violet.respondTo({
    *    expecting: ['I live in [[city]]', 'My house is in [[city]]', 'We are renting in [[city]]'],
@@ -918,10 +1868,13 @@ class ConversationEngine {
    *     response.say('I like the city [[city]]')
    * }});
    * @param {Object} intentDef - intent definition
-   * @param {string[]} intentDef.expecting - array of strings that a user could say
+   * @param {string[]} intentDef.expecting - array of strings that a user could say (or a map of locale:strings for different locales, for example `{'en': [...], 'de-DE': [...]}`, with the locale of the user falling back to its language and then to 'default')
    * @param {resolveCallback} intentDef.resolve - callback when one of the `expecting` items is said
    * @param {string} intentDef.goal - (optional) when provided above is applied only during given goal
-   * @param {string[]} intentDef.name - (optional) when provided is used as the intent name (otherwise one is generated)
+   * @param {string[]} intentDef.name - (optional) when provided is used as the intent name (otherwise one is generated from what the user says and the goal, so that it stays the same when the script changes elsewhere)
+   * @param {Object} intentDef.validate - (optional) key:value pairs of slotName:validator where the validator is a function returning if the slot value is valid or an object with a `check` function and a `prompt` to say when the value is not valid; the user is asked to try again when a slot is not valid
+   * @param {string} intentDef.confirm - (optional) question asking the user to confirm what they said (before resolve is called), for example 'You said [[age]], right?'
+   * @param {errorCallback} intentDef.onError - (optional) callback when resolve fails
    */
   respondTo(intentDef) {
     if (arguments.length>1) {
@@ -932,9 +1885,21 @@ class ConversationEngine {
       return this.respondTo(p);
     }
 
+    if (utils.isLocaleMap(intentDef.expecting)) {
+      intentDef.localeExpecting = intentDef.expecting;
+      intentDef.expecting = utils.forLocale(intentDef.localeExpecting, this.convo.defaultLocale);
+      if (intentDef.expecting == undefined) {
+        log.warn('Nothing expected in the default locale - using the first locale', {locale: this.convo.defaultLocale});
+        intentDef.expecting = intentDef.localeExpecting[Object.keys(intentDef.localeExpecting)[0]];
+      }
+    }
     if (!Array.isArray(intentDef.expecting)) {
       intentDef.expecting = [intentDef.expecting];
     }
+    if (intentDef.validate || intentDef.confirm) this._addValidationAndConfirm(intentDef);
+
+    // scripts can override built-in intents by using the same name
+    if (intentDef.name) this._removeBuiltInIntent(intentDef.name);
 
     // index speech items and their definitions - so that we can register them when they have all been defined
     this.convo.allIntents.push(intentDef.expecting);
@@ -0,0 +1,115 @@
+/* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
+/* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
+
+/**
+ * Typed events for what happens in a conversation - so that it can be
+ * analyzed (for example offline) instead of only being visible in the logs.
+ * Events are sent to the sinks that are added via
+ * {@link module:conversationEngine~ConversationEngine#addEventSink addEventSink}
+ * and look like:
+ * ```
+ * {type: 'goal.added', time: '2018-03-01T10:00:00.000Z', app: 'einstein',
+ *  platform: 'alexa', correlationId: '...', sessionId: '...', userId: '...',
+ *  goal: 'flightDetails'}
+ * ```
+ * The types (and what they have besides the above) are:
+ * <ul>
+ * <li> `intent.matched` - intent, goal (that the intent is for) and turn
+ * <li> `goal.added`, `goal.cleared`, `goal.queried` - goal (and for goals
+ *   cleared because they expired, reason `expired`)
+ * <li> `store.query` - query, durationMs and error (when it failed)
+ * <li> `error` - error (the message), errorName and intent
+ * <li> `response.sent` - output, endSession and durationMs (how long the
+ *   request took to resolve)
+ * </ul>
+ * A sink is a function that is called with each event or an object with a
+ * `write(event)` method. Sinks can return promises but events are not waited
+ * on, and sinks that fail do not affect the conversation.
+ *
+ * @module events
+ */
+
+var Promise = require('bluebird');
+var fs = require('fs');
+var path = require('path');
+var log = require('./log.js').logger('events');
+
+const eventTypes = {
+  intentMatched: 'intent.matched',
+  goalAdded: 'goal.added',
+  goalCleared: 'goal.cleared',
+  goalQueried: 'goal.queried',
+  storeQuery: 'store.query',
+  error: 'error',
+  responseSent: 'response.sent'
+};
+
+/**
+ * Appends events to a file, one JSON object per line.
+ */
+class JsonlFileSink {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.writing = Promise.resolve();
+  }
+
+  write(event) {
+    var line = JSON.stringify(event) + '\n';
+    // appends are queued so that events are written in order
+    this.writing = this.writing.catch(()=>{}).then(()=>{
+      return Promise.fromCallback(cb=>{fs.appendFile(this.filePath, line, cb);});
+    });
+    return this.writing;
+  }
+
+  // resolves when all the events so far have been written
+  flush() {
+    return this.writing.catch(()=>{});
+  }
+}
+
+/**
+ * Sends events to the sinks (with what is known about the request that they
+ * are for).
+ * <br><br>
+ * Methods in this class are currently only used internally and therefore
+ * documentation is not exposed.
+ */
+class EventMgr {
+  constructor(appName) {
+    this.appName = appName;
+    this.sinks = [];
+  }
+
+  addSink(sink) {
+    this.sinks.push(sink);
+  }
+
+  // platReq can be null for events that are not for a request
+  _requestInfo(platReq) {
+    if (!platReq) return {};
+    return {
+      platform: platReq.platform ? platReq.platform.getEndpoint() : undefined,
+      correlationId: platReq.correlationId,
+      sessionId: platReq.getSessionId(),
+      userId: platReq.getUserId()
+    };
+  }
+
+  emit(type, platReq, data) {
+    if (this.sinks.length == 0) return;
+    var event = Object.assign({type, time: new Date().toISOString(), app: this.appName},
+      this._requestInfo(platReq), data);
+    this.sinks.forEach(sink=>{
+      Promise.try(()=>{
+        return typeof sink == 'function' ? sink(event) : sink.write(event);
+      }).catch(err=>{
+        log.error('Could not send event to sink', {type, error: err.message});
+      });
+    });
+  }
+}
+
+module.exports = EventMgr;
+module.exports.JsonlFileSink = JsonlFileSink;
+module.exports.eventTypes = eventTypes;
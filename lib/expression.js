@@ -0,0 +1,291 @@
+/* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
+/* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
+
+/**
+ * A small expression language for the values in scripts, i.e. in `[[...]]`
+ * templates and in flow script `value=` attributes (for `<if>`, `<check>` and
+ * `<resolve>`). It supports:
+ * <ul>
+ * <li> literals: numbers, 'strings', "strings", true, false, null, undefined
+ * <li> variables (from the session) and property access: `a.b`, `a[0]`
+ * <li> calls to functions in the script models: `app.add(NumOne, NumTwo)`
+ *   (functions found elsewhere, for example on session data, cannot be called)
+ * <li> operators: `! - * / % + - < <= > >= == != === !== && || ?:` and
+ *   parentheses
+ * </ul>
+ * Model functions can return promises in which case the expression
+ * evaluates to a promise.
+ *
+ * @module expression
+ */
+
+/**
+ * Thrown when an expression cannot be parsed or evaluated - has the
+ * `expression` and (when in a flow script) the `nodeId`
+ */
+class ExpressionError extends Error {
+  constructor(message, expression, nodeId) {
+    super(message);
+    this.name = 'ExpressionError';
+    this.reason = message;
+    this.expression = expression;
+    this.setNodeId(nodeId);
+  }
+
+  setNodeId(nodeId) {
+    this.nodeId = nodeId;
+    this.message = `${this.reason} in expression '${this.expression}'` + (nodeId ? ` (flow node #${nodeId})` : '');
+  }
+}
+
+////////////////////
+// Tokenizing
+////////////////////
+const tokenRE = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_$][\w$]*)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(===|!==|==|!=|<=|>=|&&|\|\||[-+*\/%<>!().,\[\]?:]))/y;
+
+var _tokenize = function(exprStr) {
+  var tokens = [];
+  tokenRE.lastIndex = 0;
+  while (tokenRE.lastIndex < exprStr.length) {
+    if (/^\s*$/.test(exprStr.substring(tokenRE.lastIndex))) break;
+    var pos = tokenRE.lastIndex;
+    var match = tokenRE.exec(exprStr);
+    if (!match) throw new ExpressionError(`Unexpected character '${exprStr.substring(pos).trim()[0]}'`, exprStr);
+    if (match[1]) tokens.push({type: 'num', value: Number(match[1])});
+    else if (match[2]) tokens.push({type: 'ident', value: match[2]});
+    else if (match[3]) tokens.push({type: 'str', value: match[3].slice(1, -1).replace(/\\(.)/g, '$1')});
+    else tokens.push({type: 'op', value: match[4]});
+  }
+  return tokens;
+};
+
+////////////////////
+// Parsing (recursive descent, lowest precedence first)
+////////////////////
+const binaryOps = [
+  ['||'], ['&&'], ['==', '!=', '===', '!=='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']
+];
+const literals = {'true': true, 'false': false, 'null': null, 'undefined': undefined};
+
+var _parse = function(exprStr) {
+  var tokens = _tokenize(exprStr);
+  var pos = 0;
+  var peek = ()=>{return tokens[pos];};
+  var isOp = (value)=>{return peek() && peek().type == 'op' && peek().value == value;};
+  var expect = (value)=>{
+    if (!isOp(value)) throw new ExpressionError(`Expected '${value}'`, exprStr);
+    pos++;
+  };
+
+  var parseTernary = ()=>{
+    var cond = parseBinary(0);
+    if (!isOp('?')) return cond;
+    pos++;
+    var ifTrue = parseTernary();
+    expect(':');
+    return {type: 'ternary', cond, ifTrue, ifFalse: parseTernary()};
+  };
+  var parseBinary = (level)=>{
+    if (level == binaryOps.length) return parseUnary();
+    var left = parseBinary(level+1);
+    while (peek() && peek().type == 'op' && binaryOps[level].indexOf(peek().value) != -1) {
+      var op = tokens[pos++].value;
+      left = {type: 'binary', op, left, right: parseBinary(level+1)};
+    }
+    return left;
+  };
+  var parseUnary = ()=>{
+    if (isOp('!') || isOp('-')) {
+      var op = tokens[pos++].value;
+      return {type: 'unary', op, arg: parseUnary()};
+    }
+    return parsePostfix(parsePrimary());
+  };
+  var parsePrimary = ()=>{
+    var token = tokens[pos++];
+    if (!token) throw new ExpressionError('Unexpected end', exprStr);
+    if (token.type == 'num' || token.type == 'str') return {type: 'literal', value: token.value};
+    if (token.type == 'ident') {
+      if (token.value in literals) return {type: 'literal', value: literals[token.value]};
+      return {type: 'ident', name: token.value};
+    }
+    if (token.value == '(') {
+      var expr = parseTernary();
+      expect(')');
+      return expr;
+    }
+    throw new ExpressionError(`Unexpected '${token.value}'`, exprStr);
+  };
+  var parsePostfix = (node)=>{
+    while (true) {
+      if (isOp('.')) {
+        pos++;
+        var token = tokens[pos++];
+        if (!token || token.type != 'ident') throw new ExpressionError('Expected a property name after \'.\'', exprStr);
+        node = {type: 'member', obj: node, prop: {type: 'literal', value: token.value}};
+      } else if (isOp('[')) {
+        pos++;
+        node = {type: 'member', obj: node, prop: parseTernary()};
+        expect(']');
+      } else if (isOp('(')) {
+        pos++;
+        var args = [];
+        while (!isOp(')')) {
+          if (args.length > 0) expect(',');
+          args.push(parseTernary());
+        }
+        pos++;
+        node = {type: 'call', callee: node, args};
+      } else {
+        return node;
+      }
+    }
+  };
+
+  var ast = parseTernary();
+  if (pos < tokens.length) throw new ExpressionError(`Unexpected '${tokens[pos].value}'`, exprStr);
+  return ast;
+};
+
+////////////////////
+// Evaluating
+////////////////////
+var _isPromise = (value)=>{return value != null && typeof value.then == 'function';};
+// calls fn with the values - once they have resolved if any of them are promises
+var _withValues = (values, fn)=>{
+  if (values.some(_isPromise)) return Promise.all(values).then(fn);
+  return fn(values);
+};
+
+const blockedProps = ['__proto__', 'constructor', 'prototype', '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'];
+
+// data (from the session) only exposes its own properties while models can
+// also expose methods from their classes - but nothing from Object or Function
+var _getProp = function(obj, prop, trusted, exprStr) {
+  if (obj == null) throw new ExpressionError(`Cannot read '${prop}' of ${obj}`, exprStr);
+  prop = String(prop);
+  if (blockedProps.indexOf(prop) != -1) throw new ExpressionError(`Property '${prop}' is not allowed`, exprStr);
+  if (Object.prototype.hasOwnProperty.call(obj, prop)) return obj[prop];
+  if (!trusted || typeof obj != 'object') return undefined;
+  if (prop in Object.prototype || prop in Function.prototype) throw new ExpressionError(`Property '${prop}' is not allowed`, exprStr);
+  return obj[prop];
+};
+
+const binaryImpl = {
+  '==': (a, b)=>{return a == b;},  '!=': (a, b)=>{return a != b;},
+  '===': (a, b)=>{return a === b;}, '!==': (a, b)=>{return a !== b;},
+  '<': (a, b)=>{return a < b;},    '<=': (a, b)=>{return a <= b;},
+  '>': (a, b)=>{return a > b;},    '>=': (a, b)=>{return a >= b;},
+  '+': (a, b)=>{return a + b;},    '-': (a, b)=>{return a - b;},
+  '*': (a, b)=>{return a * b;},    '/': (a, b)=>{return a / b;},
+  '%': (a, b)=>{return a % b;}
+};
+
+// returns {value, trusted, obj} - where trusted is if the value came from the
+// models (and therefore can be called) and obj is what the value was read from
+var _evalRef = function(node, scope, exprStr) {
+  if (node.type == 'ident') {
+    var found = scope.lookup(node.name);
+    return {value: found.value, trusted: found.trusted, obj: undefined};
+  }
+  if (node.type == 'member') {
+    var objRef = _evalRef(node.obj, scope, exprStr);
+    return _withValues([objRef.value, _eval(node.prop, scope, exprStr)], ([obj, prop])=>{
+      return {value: _getProp(obj, prop, objRef.trusted, exprStr), trusted: objRef.trusted, obj};
+    });
+  }
+  return {value: _eval(node, scope, exprStr), trusted: false, obj: undefined};
+};
+var _refValue = (ref)=>{return _isPromise(ref) ? ref.then(r=>{return r.value;}) : ref.value;};
+
+var _eval = function(node, scope, exprStr) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'ident':
+    case 'member':
+      return _refValue(_evalRef(node, scope, exprStr));
+    case 'unary':
+      return _withValues([_eval(node.arg, scope, exprStr)], ([arg])=>{
+        return node.op == '!' ? !arg : -arg;
+      });
+    case 'binary':
+      if (node.op == '&&' || node.op == '||') {
+        return _withValues([_eval(node.left, scope, exprStr)], ([left])=>{
+          if (node.op == '&&' ? !left : left) return left;
+          return _eval(node.right, scope, exprStr);
+        });
+      }
+      return _withValues([_eval(node.left, scope, exprStr), _eval(node.right, scope, exprStr)], ([left, right])=>{
+        return binaryImpl[node.op](left, right);
+      });
+    case 'ternary':
+      return _withValues([_eval(node.cond, scope, exprStr)], ([cond])=>{
+        return _eval(cond ? node.ifTrue : node.ifFalse, scope, exprStr);
+      });
+    case 'call':
+      var calleeRef = _evalRef(node.callee, scope, exprStr);
+      var args = node.args.map(arg=>{return _eval(arg, scope, exprStr);});
+      return _withValues([calleeRef].concat(args), ([ref, ...argValues])=>{
+        if (typeof ref.value != 'function') throw new ExpressionError('Not a function', exprStr);
+        if (!ref.trusted) throw new ExpressionError('Only functions in the script models can be called', exprStr);
+        return ref.value.apply(ref.obj, argValues);
+      });
+  }
+};
+
+// the most recently used expressions (strings can be interpolated and so
+// there is no bound on how many different expressions are evaluated)
+const astCacheSize = 1000;
+var astCache = new Map();
+
+/**
+ * Evaluates an expression
+ *
+ * @example
+ *  expression.evaluate('app.add(NumOne, 1)', {NumOne: 2}, {app: {add: (a, b)=>{return a+b;}}})
+ *  // returns 3
+ * @param {string} exprStr - expression to evaluate
+ * @param {Object} data - values (for example from the session) that the
+ *   expression can read
+ * @param {Object} models - objects whose functions the expression can call
+ * @returns {Object} the value (or a promise to it when model functions return
+ *   promises)
+ * @throws {ExpressionError} when the expression is not valid or cannot be
+ *   evaluated
+ */
+exports.evaluate = function(exprStr, data={}, models={}) {
+  var ast = astCache.get(exprStr);
+  if (!ast) ast = _parse(exprStr);
+  astCache.delete(exprStr); // so that it becomes the most recent
+  astCache.set(exprStr, ast);
+  if (astCache.size > astCacheSize)
+    astCache.delete(astCache.keys().next().value);
+  var scope = {
+    lookup: (name)=>{
+      if (Object.prototype.hasOwnProperty.call(models, name)) return {value: models[name], trusted: true};
+      if (Object.prototype.hasOwnProperty.call(data, name)) return {value: data[name], trusted: false};
+      return {value: undefined, trusted: false};
+    }
+  };
+  var result;
+  try {
+    result = _eval(ast, scope, exprStr);
+  } catch (err) {
+    throw _asExpressionError(err, exprStr);
+  }
+  if (_isPromise(result))
+    return Promise.resolve(result).catch(err=>{throw _asExpressionError(err, exprStr);});
+  return result;
+};
+
+// errors thrown by model functions are reported with the expression too
+var _asExpressionError = function(err, exprStr) {
+  if (err instanceof ExpressionError) return err;
+  var exprErr = new ExpressionError(err && err.message ? err.message : String(err), exprStr);
+  exprErr.cause = err;
+  return exprErr;
+};
+
+exports.ExpressionError = ExpressionError;
+exports._astCache = astCache; // for testing
@@ -3,7 +3,8 @@
 
 const Promise = require('bluebird');
 const co = require('co');
-const debug = require('debug')('flowScriptCompiler');
+const log = require('./log.js').logger('flowScriptCompiler');
+const ExpressionError = require('./expression.js').ExpressionError;
 
 ////////////////////
 // Utilities
@@ -37,10 +38,10 @@ class FlowScriptCompiler {
   static walkTree(flowScriptDoc, el, visitParam, visitorCB) {
     el.children().get().forEach((child, ndx)=>{
       if (!child.type) {
-        console.log('err node has no type'); return;
+        log.error('Node has no type'); return;
       }
       if (child.type != 'tag') {
-        console.log('err node has unexpected type: ', tag); return;
+        log.error('Node has unexpected type', {type: child.type}); return;
       }
       var childNode = flowScriptDoc(child);
       // if child.type == 'tag' (which seems to be all the time with .children() )
@@ -62,7 +63,7 @@ class FlowScriptCompiler {
       var attribsVal = ''
       var attribsKey = Object.keys(child.attribs);
       if (attribsKey.length > 0) attribsVal = '[' + attribsKey.map(k=>`${k}=${child.attribs[k]}`).join(',') + ']';
-      console.log(`${FlowScriptCompiler.spc(lvl)}${child.name}${attribsVal}${textVal}`)
+      log.debug(`${FlowScriptCompiler.spc(lvl)}${child.name}${attribsVal}${textVal}`);
 
       return lvl+1;
     };
@@ -70,7 +71,7 @@ class FlowScriptCompiler {
   }
 
   static resolveElementChildrenForOutlet(response, flowScriptDoc, el, elNode, exceptions={}) {
-    if (!el && !elNode) console.log('ERROR: Cannot resolve with no elements');
+    if (!el && !elNode) log.error('Cannot resolve with no elements');
     if (!el) el = elNode.get(0);
     if (!elNode) elNode = flowScriptDoc(el);
 
@@ -88,32 +89,54 @@ class FlowScriptCompiler {
   }
 
   static resolveElementForOutlet(response, flowScriptDoc, el, elNode) {
-    if (!el && !elNode) console.log('ERROR: Cannot resolve with no elements');
+    if (!el && !elNode) log.error('Cannot resolve with no elements');
     if (!el) el = elNode.get(0);
 
     if (widgetsImpl[el.name]) {
-      debug(`:: Executing: ${el.name}#${el.attribs.id}`);
-      return widgetsImpl[el.name](el.attribs, response, flowScriptDoc, el, elNode);
+      response.log.debug('Executing', {node: `${el.name}#${el.attribs.id}`});
+      var result;
+      try {
+        result = widgetsImpl[el.name](el.attribs, response, flowScriptDoc, el, elNode);
+      } catch (err) {
+        throw FlowScriptCompiler.atNode(err, el);
+      }
+      if (result && typeof result.catch == 'function')
+        result = result.catch(err=>{throw FlowScriptCompiler.atNode(err, el);});
+      return result;
     } else {
       response.say(`Dont know how to handle conversation nodes of type ${el.name}`);
     }
   }
 
+  // expression errors are reported with the (closest) flow node that has an id
+  static atNode(err, el) {
+    if (err instanceof ExpressionError && !err.nodeId && el.attribs && el.attribs.id)
+      err.setNodeId(el.attribs.id);
+    return err;
+  }
+
   static resolveForCase(response, flowScriptDoc, caseEl, caseNode) {
     if (!caseEl) caseEl = caseNode.get(0);
-
-    var value = caseEl.attribs.value;
-    var result = response.get(value);
-
-    for (let c of caseNode.find('case').get()) {
-      var caseCond = c.attribs.value;
-      var result = response.get('' + value + caseCond)
-      if (result) {
-        FlowScriptCompiler.resolveElementForOutlet(response, flowScriptDoc, c);
-        return;
-      }
-    };
-    FlowScriptCompiler.resolveElementForOutlet(response, flowScriptDoc, caseNode.find('default').get());
+    if (!caseNode) caseNode = flowScriptDoc(caseEl);
+
+    // the value is got once (it can be from an asynchronous model function)
+    // and then compared with each case, i.e. <case value="== 'a'">
+    return toPromise(response.get(caseEl.attribs.value)).then(checkValue=>{
+      var cases = caseNode.find('case').get();
+      var tryCase = (ndx)=>{
+        if (ndx == cases.length) {
+          var defaultEl = caseNode.find('default').get(0);
+          if (defaultEl) return FlowScriptCompiler.resolveElementChildrenForOutlet(response, flowScriptDoc, defaultEl);
+          return;
+        }
+        var caseCond = cases[ndx].attribs.value;
+        return toPromise(response.get('checkValue ' + caseCond, {checkValue})).then(result=>{
+          if (result) return FlowScriptCompiler.resolveElementChildrenForOutlet(response, flowScriptDoc, cases[ndx]);
+          return tryCase(ndx+1);
+        });
+      };
+      return tryCase(0);
+    });
   }
 
   static resolveForDialog(response, flowScriptDoc, dialogEl, dialogNode) {
@@ -121,7 +144,7 @@ class FlowScriptCompiler {
       nextReqdParam: () => {
         var items = dialogNode.find('> item').get();
         if (items.length == 0) {
-          console.log(`ERROR - <item> not found in dialog${dialogNode.get(0).attribs.id}`);
+          response.log.error('<item> not found in dialog', {dialog: dialogNode.get(0).attribs.id});
           return null;
         }
 
@@ -141,13 +164,14 @@ class FlowScriptCompiler {
     };
 
     if (!dialogEl) dialogEl = dialogNode.get(0);
+    if (!dialogNode) dialogNode = flowScriptDoc(dialogEl);
 
     var dialogGoal = dialogEl.attribs.id;
     if (!response.hasGoal(dialogGoal)) // TODO: this adding should ideally be done before the goal is run for the first time (as opposed to be done in the body of the goal)
       response.addGoal(dialogGoal); // dialogs need to be queued because they don't have a prompt
 
     var elicit = dialogEl.attribs.elicit;
-    var itemToElicit = response.get(elicit, {dialog: dialogSvc});
+    var itemToElicit = response._sessionStore().get(elicit, {response}, {dialog: dialogSvc});
     if (itemToElicit) {
       response.addGoal(itemToElicit);
       return false; // dependent goals not met
@@ -163,7 +187,7 @@ class FlowScriptCompiler {
     if (parentGoalId) intentDef.goal = parentGoalId;
 
     var expectings = decisionChildNode.find('> expecting');
-    if (expectings.length == 0) console.log(`ERROR - <expecting> not found in ${decisionChildType}#${decisionChildId}`)
+    if (expectings.length == 0) log.error('<expecting> not found', {node: `${decisionChildType}#${decisionChildId}`});
     if (expectings.length > 0)
       intentDef.expecting = expectings.get().map(n=>flowScriptDoc(n).text());
 
@@ -185,7 +209,7 @@ class FlowScriptCompiler {
     // do) compile ASM widgets by converting to goals (really registering intents)
     // post) ensure that the resolve's generated for above can use outlets (ASM widges as well as output widgets)
 
-    debug('Compiler Starting >>>');
+    log.debug('Compiler starting');
 
     // ignore) 'decoration' widgets that do nothing and have other widgets set them up (like <expecting>)
     // :-)
@@ -216,7 +240,7 @@ class FlowScriptCompiler {
       return respondArr;
     };
     flowScriptDoc('app').get().forEach(el=>{
-      console.log(`app node: ${el.attribs.id}`);
+      log.debug('App node', {id: el.attribs.id});
       var node = flowScriptDoc(el);
       var respondArr = decisionNodeHooksForRegistering(null, node);
       respondArr.forEach(r=>{
@@ -224,7 +248,7 @@ class FlowScriptCompiler {
       });
     });
     flowScriptDoc('decision').get().forEach(el=>{
-      console.log(`decision el: ${el.attribs.id}`);
+      log.debug('Decision node', {id: el.attribs.id});
       var decisionNode = flowScriptDoc(el);
       var goalObj = {
         goal: el.attribs.id,
@@ -234,28 +258,40 @@ class FlowScriptCompiler {
       var prompts = decisionNode.find('> prompt');
       if (prompts.length > 0)
         goalObj.prompt = prompts.get().map(n=>flowScriptDoc(n).text());
-      console.log(`prompts.length: ${prompts.length} - ${goalObj.prompt}`)
+      log.debug('Prompts', {count: prompts.length, prompt: goalObj.prompt});
 
       var asks = decisionNode.find('> ask');
       if (asks.length > 0)
         goalObj.ask = asks.get().map(n=>flowScriptDoc(n).text());
-      console.log(`asks.length: ${asks.length} - ${goalObj.ask}`)
+      log.debug('Asks', {count: asks.length, ask: goalObj.ask});
+
+      var reprompts = decisionNode.find('> reprompt');
+      if (reprompts.length > 0)
+        goalObj.reprompt = reprompts.get().map(n=>flowScriptDoc(n).text());
 
       goalObj.respondTo = decisionNodeHooksForRegistering(el.attribs.id, decisionNode);
 
       convoEngine.defineGoal(goalObj);
     });
     flowScriptDoc('dialog').get().forEach(el=>{
-      console.log(`dialog el: ${el.attribs.id}`);
+      log.debug('Dialog node', {id: el.attribs.id});
       var dialogNode = flowScriptDoc(el);
 
       // dialogs are triggered by the state machine, so hooked it in (all it will do is check for the next item)
-      convoEngine.defineGoal({
+      var dialogGoalObj = {
         goal: el.attribs.id,
         resolve: (response) => {
           return FlowScriptCompiler.resolveElementForOutlet(response, flowScriptDoc, null, dialogNode);
         }
-      });
+      };
+      // <dialog resume="Last time we were ..., do you want to continue?"> offers unfinished dialogs in the next session
+      if ('resume' in el.attribs) {
+        dialogGoalObj.resume = {
+          variables: dialogNode.find('> item').get().map(i=>i.attribs.name),
+          prompt: el.attribs.resume || undefined
+        };
+      }
+      convoEngine.defineGoal(dialogGoalObj);
 
       // dialog's do have prompts but they are inside the item - the compilers output process will handle that
       var respondArr = decisionNodeHooksForRegistering(el.attribs.id, dialogNode, ['item']);
@@ -272,12 +308,16 @@ class FlowScriptCompiler {
         var prompts = itemNode.find('> prompt');
         if (prompts.length > 0)
           goalObj.prompt = prompts.get().map(n=>flowScriptDoc(n).text());
-        console.log(`prompts.length: ${prompts.length} - ${goalObj.prompt}`)
+        log.debug('Prompts', {count: prompts.length, prompt: goalObj.prompt});
 
         var asks = itemNode.find('> ask');
         if (asks.length > 0)
           goalObj.ask = asks.get().map(n=>flowScriptDoc(n).text());
-        console.log(`asks.length: ${asks.length} - ${goalObj.ask}`)
+        log.debug('Asks', {count: asks.length, ask: goalObj.ask});
+
+        var reprompts = itemNode.find('> reprompt');
+        if (reprompts.length > 0)
+          goalObj.reprompt = reprompts.get().map(n=>flowScriptDoc(n).text());
 
         convoEngine.defineGoal(goalObj);
       });
@@ -289,8 +329,8 @@ class FlowScriptCompiler {
 
     // post) ensure that the resolve's generated for above can use outlets (ASM widges as well as output widgets)
 
-    if (debug.enabled) FlowScriptCompiler.dump(flowScriptDoc);
-    debug('Compiler Done >>>');
+    if (log.isEnabled('debug')) FlowScriptCompiler.dump(flowScriptDoc);
+    log.debug('Compiler done');
   }
 
 }
@@ -298,6 +338,7 @@ class FlowScriptCompiler {
 // we don't need to do anything in these cases
 FlowScriptCompiler.registerWidgetImpl('ask');
 FlowScriptCompiler.registerWidgetImpl('prompt');
+FlowScriptCompiler.registerWidgetImpl('reprompt');
 FlowScriptCompiler.registerWidgetImpl('expecting');
 
 FlowScriptCompiler.registerWidgetImpl('dialog', (attribs, response, flowScriptDoc, el, elNode)=>{
@@ -329,7 +370,7 @@ FlowScriptCompiler.registerWidgetImpl('resolve', (attribs, response, flowScriptD
   var value = attribs.value;
   var result = toPromise(response.get(value));
   return result.then(()=>{
-    FlowScriptCompiler.resolveElementChildrenForOutlet(response, flowScriptDoc, el, elNode);
+    return FlowScriptCompiler.resolveElementChildrenForOutlet(response, flowScriptDoc, el, elNode);
   });
 });
 FlowScriptCompiler.registerWidgetImpl('if', (attribs, response, flowScriptDoc, el, elNode)=>{
@@ -340,7 +381,7 @@ FlowScriptCompiler.registerWidgetImpl('if', (attribs, response, flowScriptDoc, e
   });
 });
 FlowScriptCompiler.registerWidgetImpl('check', (attribs, response, flowScriptDoc, el, elNode)=>{
-  FlowScriptCompiler.resolveForCase(response, flowScriptDoc, el, elNode);
+  return FlowScriptCompiler.resolveForCase(response, flowScriptDoc, el, elNode);
 });
 
 module.exports = FlowScriptCompiler;
@@ -7,8 +7,12 @@ const zip = require('express-easy-zip');
 const bodyParser = require('body-parser');
 // const DialogflowApp = require('actions-on-google').DialogflowApp;
 const dialogflowClient = require('dialogflow-fulfillment').WebhookClient;
+const SignIn = require('actions-on-google').SignIn;
+const ssml = require('./ssml.js');
 const PlatformReq = require('./platformPlugin.js').PlatformReq;
 const PlatformPlugin = require('./platformPlugin.js').PlatformPlugin;
+const utils = require('./utils.js');
+const log = require('./log.js').logger('googlePlatform');
 
 
 // v1 sdk documentation: https://developers.google.com/actions/reference/nodejs/DialogflowApp
@@ -24,12 +28,15 @@ const violetToPlatformTypeMap = {
   'phrase': '@sys.any'
 };
 
+const noInputIntent = 'violet.noInput';
+const repromptKey = 'convoReprompt';
+
 function guessSamples(violetType) {
   switch (violetType) {
     case 'number':
       return Math.floor(Math.random() * 100);
     default:
-      console.log(`ERR - googlePlatform: ${violetType} not supported`)
+      log.error('Type not supported', {type: violetType});
       return 'UNKNOWN TYPE'
   }
 }
@@ -41,7 +48,23 @@ function addFile(zipFiles, name, jsonBody) {
     content: JSON.stringify(jsonBody, null, 2)
   })
 }
-function genConfigMeta(zipFiles, req) {
+// Dialogflow agents have a primary language (that of the default locale) and
+// can support other languages (those that scripts have utterances for); the
+// language codes are lower case, for example 'en' or 'en-gb'
+function getLanguages(googlePlatform) {
+  var primary = googlePlatform.defaultLocale.split(/[-_]/)[0].toLowerCase();
+  var supported = [];
+  Object.keys(googlePlatform.intentParams).forEach((intentName)=>{
+    var localeUtterances = googlePlatform.intentParams[intentName].localeUtterances || {};
+    Object.keys(localeUtterances).forEach((locale)=>{
+      var lang = locale.toLowerCase();
+      if (lang != primary && lang != 'default' && supported.indexOf(lang) == -1) supported.push(lang);
+    });
+  });
+  return {primary, supported};
+}
+function genConfigMeta(zipFiles, req, googlePlatform) {
+  var languages = getLanguages(googlePlatform);
   addFile(zipFiles, `package.json`, {"version": "1.0.0"});
   // spec: https://dialogflow.com/docs/reference/agent-json-fields
   var svcUrl = req.protocol + '://' + req.headers.host + req.originalUrl
@@ -53,9 +76,19 @@ function genConfigMeta(zipFiles, req) {
         url: req.protocol + '://' + req.get('Host') + req.url,
         available: true
       },
-      language: "en"
+      language: languages.primary,
+      supportedLanguages: languages.supported
     });
 };
+function genConfigNoInputIntent(zipFiles) {
+  // triggered when the user does not respond - so that we can reprompt
+  addFile(zipFiles, `intents${path.sep}${noInputIntent}.json`, {
+    name: noInputIntent,
+    auto: true,
+    webhookUsed: true,
+    events: [{name: 'actions_intent_NO_INPUT'}]
+  });
+}
 function genConfigIntents(zipFiles, googlePlatform) {
   Object.keys(googlePlatform.intentParams).forEach((intentName)=>{
     // spec: https://dialogflow.com/docs/reference/agent/intents
@@ -80,73 +113,122 @@ function genConfigIntents(zipFiles, googlePlatform) {
     }
     addFile(zipFiles, `intents${path.sep}${intentName}.json`, intentInfo)
 
-    var gUtterances = [];
-    googlePlatform.intentParams[intentName].utterances.forEach((utterance)=>{
-      var gUtteranceInfo = {
-        data: [],
-        isTemplate: false,
-        count: 0,
-      };
-      utterance.split(/[{}]/).forEach((u,ndx)=>{
-        if (u.length == 0) return;
-        var fVar = (ndx%2 == 0) ? false : true;
-        var guData = {userDefined: false}
-        if (fVar) {
-          var nameMarker = u.indexOf('|');
-
-          // set: alias
-          if (nameMarker == -1)
-            guData.alias = u;
-          else
-            guData.alias = u.substr(nameMarker+1);
-
-          // set: meta
-          guData.meta = violetToPlatformTypeMap[slots[guData.alias]]
-
-          // set: text
-          if (u.startsWith('-|')) {
-            guData.text = guessSamples(slots[guData.alias]);
-          } else {
-            guData.text = u.substring(0, nameMarker);
-          }
+    var languages = getLanguages(googlePlatform);
+    var params = googlePlatform.intentParams[intentName];
+    addFile(zipFiles, `intents${path.sep}${intentName}_usersays_${languages.primary}.json`, genUserSays(params.utterances, slots));
+    languages.supported.forEach((lang)=>{
+      var utterances = utils.forLocale(Object.assign({default: params.utterances}, params.localeUtterances), lang);
+      addFile(zipFiles, `intents${path.sep}${intentName}_usersays_${lang}.json`, genUserSays(utterances, slots));
+    });
+  });
+}
+function genUserSays(utterances, slots) {
+  var gUtterances = [];
+  utterances.forEach((utterance)=>{
+    var gUtteranceInfo = {
+      data: [],
+      isTemplate: false,
+      count: 0,
+    };
+    utterance.split(/[{}]/).forEach((u,ndx)=>{
+      if (u.length == 0) return;
+      var fVar = (ndx%2 == 0) ? false : true;
+      var guData = {userDefined: false}
+      if (fVar) {
+        var nameMarker = u.indexOf('|');
+
+        // set: alias
+        if (nameMarker == -1)
+          guData.alias = u;
+        else
+          guData.alias = u.substr(nameMarker+1);
+
+        // set: meta
+        guData.meta = violetToPlatformTypeMap[slots[guData.alias]]
+
+        // set: text
+        if (u.startsWith('-|')) {
+          guData.text = guessSamples(slots[guData.alias]);
         } else {
-          guData.text = u;
+          guData.text = u.substring(0, nameMarker);
         }
-        gUtteranceInfo.data.push(guData);
-      });
-      gUtterances.push(gUtteranceInfo);
+      } else {
+        guData.text = u;
+      }
+      gUtteranceInfo.data.push(guData);
     });
-
-    addFile(zipFiles, `intents${path.sep}${intentName}_usersays_en.json`, gUtterances)
+    gUtterances.push(gUtteranceInfo);
   });
+  return gUtterances;
 }
 
+// Google speaks SSML 1.1 except for the Alexa specific tags
+const ssmlRenderers = {
+  whisper: ssml.downgrades.whisper
+};
+
 class GooglePlatformReq extends PlatformReq {
 
-  constructor(platform, request, response) {
+  // agent - the dialogflow-fulfillment WebhookClient for this request (every
+  // request has its own, as requests are handled concurrently)
+  constructor(platform, request, response, agent) {
     super(platform, request, response);
 
-    this.shouldEndSession = true;
+    this.shouldEnd = true;
+    this.output = []; // what is said, added to the agent when sending
+    this.signIn = false;
+    this.agent = agent;
+    this.sessionId = agent.session;
+    this.locale = agent.locale;
 
     this.sessionStore = {};
-    var sessionContext = this.platform.app.getContext('session');
-    if (sessionContext) sessionStore = sessionContext.parameters;
-    Object.keys(this.platform.app.parameters).forEach(pName=>{
-      sessionStore[pName] = this.platform.app.parameters[pName];
+    var sessionContext = agent.getContext('session');
+    if (sessionContext) this.sessionStore = sessionContext.parameters;
+    Object.keys(agent.parameters).forEach(pName=>{
+      this.sessionStore[pName] = agent.parameters[pName];
     });
   }
 
   getUserId() {
-    // TODO: is this correct, i.e. for Google (it works for Alexa)
+    // Actions on Google sends the user in the payload of the original request
+    var originalReq = this.request.body && this.request.body.originalDetectIntentRequest;
+    if (originalReq && originalReq.payload && originalReq.payload.user)
+      return originalReq.payload.user.userId;
     return this.request.userId;
   }
 
+  getAccessToken() {
+    // Actions on Google sends the token of a linked account with the user
+    var originalReq = this.request.body && this.request.body.originalDetectIntentRequest;
+    if (originalReq && originalReq.payload && originalReq.payload.user)
+      return originalReq.payload.user.accessToken;
+    return undefined;
+  }
+
+  // only Actions on Google (and not other Dialogflow integrations) can ask
+  // the user to sign in, i.e. link their account
+  requestAccountLinking() {
+    if (!this.agent.conv()) {
+      this.log.warn('Account linking is not supported for this Dialogflow integration');
+      return;
+    }
+    this.signIn = true;
+  }
+
+  getSessionId() {
+    return this.sessionId;
+  }
+
+  getLocale() {
+    return this.locale;
+  }
+
   getSlots() {
-    return Object.keys(this.platform.app.parameters);
+    return Object.keys(this.agent.parameters);
   }
 
   getSlot(slotName) {
-    return this.platform.app.parameters[slotName];
+    return this.agent.parameters[slotName];
   }
 
   getSession() {
@@ -159,32 +241,64 @@ class GooglePlatformReq extends PlatformReq {
       },
       set: (varStr, val) => {
         this.sessionStore[varStr] = val;
+      },
+      contains: (varStr) => {
+        return varStr in this.sessionStore;
+      },
+      clear: (varStr) => {
+        delete this.sessionStore[varStr];
       }
     };
   }
 
   say(str) {
-    if (shouldEndSession)
-      platform._tell(str);
-    else
-      platform._ask(str);
+    this.output.push(str);
+  }
+
+  // Dialogflow does not have reprompts, instead we keep it in the session and
+  // say it when we get the no-input event
+  reprompt(str) {
+    this.getSession().set(repromptKey, str);
   }
 
   shouldEndSession(flag) {
-    this.shouldEndSession = flag;
+    this.shouldEnd = flag;
+  }
+
+  // adds what was said to the agent - only once the request has been handled
+  // as whether the session ends is decided after what is said
+  _addOutput() {
+    let str = this.output.join(' ');
+    let conv = this.signIn ? this.agent.conv() : null;
+    if (conv) {
+      if (str) conv.ask(str);
+      conv.ask(new SignIn());
+      this.agent.add(conv);
+    } else if (str) {
+      if (this.shouldEnd)
+        this.platform._tell(this.agent, str);
+      else
+        this.platform._ask(this.agent, str);
+    }
   }
 }
 
 class GooglePlatform extends PlatformPlugin {
 
-  _tell(str) {
-    this.app.add(str);
+  // only Actions on Google can be told to end the conversation or to keep the
+  // microphone open, other Dialogflow integrations are sent text
+  _tell(agent, str) {
+    let conv = agent.conv();
+    if (!conv) return agent.add(str);
+    conv.close(str);
+    agent.add(conv);
   }
 
-  _ask(str) {
-    let conv = this.app.conv();
+  _ask(agent, str) {
+    let conv = agent.conv();
+    if (!conv) return agent.add(str);
     conv.ask(str);
-    this.app.add(conv);
+    agent.add(conv);
   }
 
   constructor(endpoint) {
@@ -193,13 +307,22 @@ class GooglePlatform extends PlatformPlugin {
     this.intentParams = {};
     this.customSlots = {};
     this.intentHandlers = {
-      'input.welcome': () => {
-        this._tell('Hello, Welcome to my Dialogflow agent!');
+      'input.welcome': (platReq) => {
+        this._tell(platReq.agent, 'Hello, Welcome to my Dialogflow agent!');
       },
-      'default': () => {
-        this._tell('The default handler for unknown or undefined actions got triggered!');
+      'default': (platReq) => {
+        if (this.unrecognizedCB) return this.unrecognizedCB(platReq);
+        this._tell(platReq.agent, 'The default handler for unknown or undefined actions got triggered!');
       }
     };
+    var sayReprompt = (platReq) => {
+      var reprompt = platReq.getSession().get(repromptKey);
+      if (reprompt) this._ask(platReq.agent, reprompt);
+    };
+    // wrapped when called, as the wrapper is set after the platform is created
+    this.intentHandlers[noInputIntent] = (platReq) => {
+      return this.wrapHandler(sayReprompt)(platReq);
+    };
   }
 
   setServerApp(violetRouter) {
@@ -212,8 +335,9 @@ class GooglePlatform extends PlatformPlugin {
     // });
     violetRouter.get('/googleConfig', function (request, response) {
       var zipFiles = [];
-      genConfigMeta(zipFiles, request);
+      genConfigMeta(zipFiles, request, platform);
       genConfigIntents(zipFiles, platform);
+      genConfigNoInputIntent(zipFiles);
       response.zip({
         filename: platform.appName + '.zip',
         files: zipFiles
@@ -221,28 +345,36 @@ class GooglePlatform extends PlatformPlugin {
     });
     violetRouter.post('/' + this.endpoint, function (request, response) {
       try {
-        // console.log('Dialogflow Request headers: ' + JSON.stringify(request.headers));
-        console.log('Dialogflow Request body: ' + JSON.stringify(request.body));
-
-        platform.app = new dialogflowClient({request: request, response: response});
-        console.log(platform.app.parameters)
-        let intentName = platform.app.intent;
+        let agent = new dialogflowClient({request: request, response: response});
+        let intentName = agent.intent;
         if (!platform.intentHandlers[intentName]) {
           intentName = 'default';
         }
-        console.log(`Received request for: ${intentName}`)
-        let result = platform.intentHandlers[intentName](new GooglePlatformReq(platform, request, response));
+        let platReq = new GooglePlatformReq(platform, request, response, agent);
+        // the body has everything that the user said and so is only logged when debugging
+        platReq.log.debug('Dialogflow request', {body: request.body});
+        platReq.log.debug('Received request', {intent: intentName, slots: agent.parameters});
+        let result = platform.intentHandlers[intentName](platReq);
         Promise.resolve(result).then(()=>{
-          platform.app.setContext({name: 'session', lifespan: 100, parameters: sessionStore});
-          platform.app.send_();
-        })
+          platReq._addOutput();
+          agent.setContext({name: 'session', lifespan: 100, parameters: platReq.sessionStore});
+          agent.send_();
+        }).catch((e)=>{
+          platReq.log.error('Could not handle the request', {error: e});
+          if (!response.headersSent) response.status(500);
+          response.end();
+        });
       } catch (e) {
-        console.log('Caught Error: ', e);
+        log.error('Could not handle the request', {error: e});
         response.end();
       }
     });
   }
 
+  renderOutput(nodes) {
+    return `<speak>${ssml.render(nodes, ssmlRenderers)}</speak>`;
+  }
+
   onError(cb) {
     this.errorCB = cb;
   }
@@ -251,8 +383,12 @@ class GooglePlatform extends PlatformPlugin {
     this.launchCB = cb;
   }
 
+  onUnrecognized(cb) {
+    this.unrecognizedCB = cb;
+  }
+
   regIntent(name, params, cb) {
-    console.log('registering: ', name, params);
+    log.debug('Registering intent', {intent: name, params});
     this.intentHandlers[name] = cb;
     this.intentParams[name] = params;
   }
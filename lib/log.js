@@ -0,0 +1,135 @@
+/* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
+/* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
+
+/**
+ * Leveled logging with JSON output, i.e. every entry is a line like:
+ * ```
+ * {"time":"2018-03-01T10:00:00.000Z","level":"info","msg":"Adding goal",
+ *  "component":"conversationEngine","correlationId":"3f2a...","goal":"flightDetails"}
+ * ```
+ * Entries made while handling a request (via `platReq.log` or `response.log`)
+ * have the request's correlation id so that everything for a request can be
+ * found together.
+ * <br><br>
+ * The level defaults to `info` (or the `V_LOG_LEVEL` environment variable) and
+ * values that can have personal information - for example slots with names or
+ * phone numbers - can be redacted wherever they appear in what is logged:
+ * ```
+ * require('violet/lib/log.js').configure({level: 'debug', redact: ['name', 'phoneNumber']});
+ * ```
+ *
+ * @module log
+ */
+
+const levels = {debug: 10, info: 20, warn: 30, error: 40, silent: 100};
+const redactedStr = '[REDACTED]';
+
+var config = {
+  level: process.env.V_LOG_LEVEL || 'info',
+  redact: [],
+  output: (line)=>{process.stdout.write(line + '\n');}
+};
+
+/**
+ * Copies data replacing the values of redacted names (at any depth) - for
+ * example the slots kept in transcripts
+ *
+ * @param {Object} val - data that could have the values
+ * @returns {Object} a copy of val without the values of redacted names
+ */
+var _redact = function(val, depth=0) {
+  if (val instanceof Error) return {name: val.name, message: val.message, stack: val.stack};
+  if (!val || typeof val != 'object' || depth > 8) return val;
+  if (Array.isArray(val)) return val.map(v=>{return _redact(v, depth+1);});
+  var copy = {};
+  Object.keys(val).forEach(key=>{
+    copy[key] = config.redact.indexOf(key) != -1 ? redactedStr : _redact(val[key], depth+1);
+  });
+  return copy;
+};
+
+/**
+ * Replaces the values of redacted names in a string - for example in what is
+ * said to the user, where slots have been interpolated
+ *
+ * @param {string} str - what could have the values
+ * @param {Object} namedValues - name:value pairs, for example the slots
+ * @returns {string} str without the values of redacted names
+ */
+var redactValues = function(str, namedValues) {
+  if (typeof str != 'string') return str;
+  config.redact.forEach(key=>{
+    var val = namedValues[key];
+    if (val === undefined || val === null || String(val) === '') return;
+    str = str.split(String(val)).join(redactedStr);
+  });
+  return str;
+};
+
+/**
+ * Writes entries with the fields that it was created with - use `child` to
+ * add fields (for example the correlation id of a request).
+ */
+class Logger {
+  constructor(fields={}) {
+    this.fields = fields;
+  }
+
+  child(fields) {
+    return new Logger(Object.assign({}, this.fields, fields));
+  }
+
+  isEnabled(level) {
+    return levels[level] >= (levels[config.level] || levels.info);
+  }
+
+  _write(level, msg, data) {
+    if (!this.isEnabled(level)) return;
+    var entry = Object.assign({time: new Date().toISOString(), level, msg}, this.fields, _redact(data || {}));
+    var line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (err) { // for example circular data
+      line = JSON.stringify(Object.assign({time: entry.time, level, msg}, this.fields, {logError: err.message}));
+    }
+    config.output(line);
+  }
+
+  debug(msg, data) { this._write('debug', msg, data); }
+  info(msg, data) { this._write('info', msg, data); }
+  warn(msg, data) { this._write('warn', msg, data); }
+  error(msg, data) { this._write('error', msg, data); }
+}
+
+/**
+ * Changes how logging is done
+ *
+ * @param {Object} options - options to change
+ * @param {string} options.level - the least severe level that is logged:
+ *   debug, info, warn, error or silent
+ * @param {string[]} options.redact - names of the values (for example slots)
+ *   that are not logged or kept in transcripts
+ * @param {Function} options.output - called with each line, defaults to
+ *   writing to stdout
+ * @returns {Object} the options from before (so that they can be restored)
+ */
+module.exports.configure = function(options) {
+  var previous = Object.assign({}, config);
+  Object.assign(config, options);
+  return previous;
+};
+
+/**
+ * Returns a logger for a part of Violet (or for a script)
+ *
+ * @param {string} component - what is logging, included with every entry
+ * @param {Object} fields - other fields to include with every entry
+ */
+module.exports.logger = function(component, fields) {
+  return new Logger(Object.assign({component}, fields));
+};
+
+module.exports.redact = _redact;
+module.exports.redactValues = redactValues;
+module.exports.Logger = Logger;
+module.exports.levels = levels;
@@ -0,0 +1,164 @@
+/* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
+/* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
+
+/**
+ * Prometheus metrics for the apps on a server - built from the conversation
+ * {@link module:events events} and made available (in the Prometheus text
+ * format) via {@link module:violetSrvr violetSrvr}'s `exposeMetricsAt`. All
+ * metrics are labelled with the app and the platform:
+ * <ul>
+ * <li> `violet_intents_total` - requests per intent (including `launch` and
+ *   `unrecognized`)
+ * <li> `violet_goals_total` - goals added, cleared and queried per goal (the
+ *   `action` label)
+ * <li> `violet_fallbacks_total` - requests where the user was not understood
+ * <li> `violet_errors_total` - requests that failed
+ * <li> `violet_resolve_duration_seconds` - how long requests took to resolve
+ * <li> `violet_store_query_duration_seconds` - how long store queries took
+ * </ul>
+ *
+ * @module metrics
+ */
+
+const contentType = 'text/plain; version=0.0.4; charset=utf-8';
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+var _escapeLabel = function(val) {
+  return String(val).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+};
+var _labelsStr = function(labels) {
+  var keys = Object.keys(labels);
+  if (keys.length == 0) return '';
+  return '{' + keys.map(k=>{return `${k}="${_escapeLabel(labels[k])}"`;}).join(',') + '}';
+};
+
+class Metric {
+  constructor(name, help, labelNames) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // keyed by the label values
+  }
+
+  // the series for the labels (in the order of labelNames, missing ones empty)
+  _series(labels) {
+    var labelVals = {};
+    this.labelNames.forEach(n=>{labelVals[n] = labels[n] === undefined ? '' : labels[n];});
+    var key = JSON.stringify(this.labelNames.map(n=>{return labelVals[n];}));
+    if (!this.series.has(key)) this.series.set(key, this._newSeries(labelVals));
+    return this.series.get(key);
+  }
+
+  render() {
+    var lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.series.forEach(series=>{lines = lines.concat(this._renderSeries(series));});
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  get type() {return 'counter';}
+
+  _newSeries(labels) {
+    return {labels, value: 0};
+  }
+
+  inc(labels, n=1) {
+    this._series(labels).value += n;
+  }
+
+  _renderSeries(series) {
+    return [`${this.name}${_labelsStr(series.labels)} ${series.value}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets=defaultBuckets) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  get type() {return 'histogram';}
+
+  _newSeries(labels) {
+    return {labels, counts: this.buckets.map(()=>{return 0;}), sum: 0, count: 0};
+  }
+
+  observe(labels, value) {
+    var series = this._series(labels);
+    this.buckets.forEach((le, ndx)=>{
+      if (value <= le) series.counts[ndx]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  _renderSeries(series) {
+    var withLe = (le)=>{return _labelsStr(Object.assign({}, series.labels, {le}));};
+    var lines = this.buckets.map((le, ndx)=>{
+      return `${this.name}_bucket${withLe(le)} ${series.counts[ndx]}`;
+    });
+    lines.push(`${this.name}_bucket${withLe('+Inf')} ${series.count}`);
+    lines.push(`${this.name}_sum${_labelsStr(series.labels)} ${series.sum}`);
+    lines.push(`${this.name}_count${_labelsStr(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+/**
+ * The metrics for the apps on a server - apps send their events to the sink.
+ * <br><br>
+ * Methods in this class are currently only used internally and therefore
+ * documentation is not exposed.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.intents = new Counter('violet_intents_total', 'Requests per intent', ['app', 'platform', 'intent']);
+    this.goals = new Counter('violet_goals_total', 'Goals added, cleared and queried', ['app', 'platform', 'goal', 'action']);
+    this.fallbacks = new Counter('violet_fallbacks_total', 'Requests where the user was not understood', ['app', 'platform']);
+    this.errors = new Counter('violet_errors_total', 'Requests that failed', ['app', 'platform']);
+    this.resolveTime = new Histogram('violet_resolve_duration_seconds', 'Time taken to resolve requests', ['app', 'platform']);
+    this.storeQueryTime = new Histogram('violet_store_query_duration_seconds', 'Time taken by store queries', ['app', 'platform']);
+    this.metrics = [this.intents, this.goals, this.fallbacks, this.errors, this.resolveTime, this.storeQueryTime];
+  }
+
+  // updates the metrics for an event
+  record(event) {
+    var labels = {app: event.app, platform: event.platform};
+    switch (event.type) {
+      case 'intent.matched':
+        this.intents.inc(Object.assign({intent: event.intent}, labels));
+        if (event.intent == 'unrecognized') this.fallbacks.inc(labels);
+        break;
+      case 'goal.added':
+      case 'goal.cleared':
+      case 'goal.queried':
+        this.goals.inc(Object.assign({goal: event.goal, action: event.type.split('.')[1]}, labels));
+        break;
+      case 'error':
+        this.errors.inc(labels);
+        break;
+      case 'response.sent':
+        this.resolveTime.observe(labels, event.durationMs/1000);
+        break;
+      case 'store.query':
+        this.storeQueryTime.observe(labels, event.durationMs/1000);
+        break;
+    }
+  }
+
+  // an event sink (for ConversationEngine.addEventSink) that updates the metrics
+  sink() {
+    return (event)=>{this.record(event);};
+  }
+
+  // in the Prometheus text format
+  render() {
+    return this.metrics.map(m=>{return m.render();}).join('\n') + '\n';
+  }
+}
+
+module.exports.MetricsRegistry = MetricsRegistry;
+module.exports.Counter = Counter;
+module.exports.Histogram = Histogram;
+module.exports.contentType = contentType;
@@ -1,6 +1,10 @@
 /* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
 /* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
 
+const crypto = require('crypto');
+const ssml = require('./ssml.js');
+const log = require('./log.js');
+
 /**
  * Class that primarily exists for documents and defines what a platform
  * request needs to support (they are expected to extend this class). A platform
@@ -13,18 +17,47 @@ class PlatformReq {
     this.platform = platform;
     this.request = request;
     this.response = response;
+    this.endsSession = false; // set when what is sent ends the session
+    // so that everything logged for a request can be found together
+    this.correlationId = crypto.randomBytes(8).toString('hex');
+    this.log = log.logger('request', {
+      correlationId: this.correlationId,
+      platform: platform ? platform.getEndpoint() : undefined
+    });
   }
 
   getUserId() {}
 
+  getSessionId() {}
+
+  // locale of the user, for example 'en-US' (undefined if not known)
+  getLocale() {}
+
   getSlots() {}
 
   getSlot(slotName) {}
 
   getSession() {}
 
+  // the access token of the account that the user has linked to the app (via
+  // the platform's account linking) - undefined when not linked
+  getAccessToken() {}
+
+  // asks the platform to prompt the user (usually in the companion app) to
+  // link their account
+  requestAccountLinking() {}
+
+  // used when sessions are kept on the server (instead of in the platform),
+  // see the serverSession module
+  useSession(session) {
+    this.getSession = ()=>{return session;};
+  }
+
   say(str) {}
 
+  // what to say if the user does not respond
+  reprompt(str) {}
+
   shouldEndSession(flag) {}
 
 }
@@ -37,6 +70,8 @@ class PlatformPlugin {
 
   constructor(endpoint) {
     this.endpoint = endpoint;
+    this.defaultLocale = 'en-US';
+    this.wrapHandler = (cb)=>{return cb;};
   }
 
   getEndpoint() {
@@ -49,11 +84,34 @@ class PlatformPlugin {
 
   onLaunch(cb) {}
 
-  // cb is a function with one parameter: PlatformReq
+  // cb is called (with a PlatformReq) when what the user said did not match
+  // any of the registered intents
+  onUnrecognized(cb) {}
+
+  // locale that the default (not localized) utterances are in
+  setDefaultLocale(locale) {
+    this.defaultLocale = locale;
+  }
+
+  // cb is a function with one parameter: PlatformReq; besides utterances
+  // and slots params can have localeUtterances - a map of locale:utterances
   regIntent(name, params, cb) {}
 
   regCustomSlot(type, values) {}
 
+  // wrap is applied to handlers that the platform has itself (as opposed to
+  // the ones registered above), so that they see the same session - for
+  // example when it is kept on the server
+  setHandlerWrapper(wrap) {
+    this.wrapHandler = wrap;
+  }
+
+  // renders the output (an array of ssml nodes) for saying on this platform;
+  // platforms that do not support a tag can render it using ssml.downgrades
+  renderOutput(nodes) {
+    return ssml.render(nodes);
+  }
+
 }
 
 
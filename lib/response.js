@@ -8,8 +8,10 @@
  *
  * @module response
  */
-var safeEval = require('safe-eval');
+var Promise = require('bluebird');
+var expression = require('./expression.js');
 var alexaAppExt = require('./alexaAppExt.js');
+var AccountLinkingError = require('./storePlugin.js').AccountLinkingError;
 
 
 
@@ -26,10 +28,14 @@ class Response {
   constructor(convoEngine, platReq) {
     this.convoEngine = convoEngine;
     this.outputMgr = convoEngine.outputMgr;
+    this.outputCtx = this.outputMgr.newOutputCtx(); // per-request output buffers
 
     this.platReq = platReq;
+    this.correlationId = platReq.correlationId;
+    this.log = platReq.log; // has the correlation id of the request
 
     this.goalStateChanged = false;
+    this.transcript = []; // loaded by the ConversationEngine for every request
 
     this.paramsStore = {
       get: (varName) => {
@@ -42,33 +48,56 @@ class Response {
       }
     };
     var requestStore = platReq.getSession();
+    var stateMgr = convoEngine.stateMgr;
+    this.userState = {}; // the user's profile - loaded by the StateMgr for every request
+    this.userStateChanged = false;
     this.sessionStore = {
-      get: (varName, addlContext) => {
-        var myContext = requestStore.getAttributes()
-        if (varName.indexOf('.')==-1 && varName.indexOf('(')==-1) return myContext[varName];
-
-        // potentially execute script
-        myContext = Object.assign(myContext, this.convoEngine.scriptModels)
-        if (addlContext)
-          myContext = Object.assign(myContext, addlContext)
-        console.log(`\t*** store.get(${varName})... myContext: ${Object.keys(myContext)}`);
-        var result;
-        try {
-          result = safeEval(varName, myContext);
-        } catch (err) {
-          console.log(err);
-        }
-        console.log(`\t*** store.get(${varName})... result: ${result}`)
-        return result;
+      // addlContext are values the expression can read and addlModels are
+      // functions (from Violet itself) that it can call
+      get: (varName, addlContext, addlModels) => {
+        var attributes = requestStore.getAttributes();
+        if (/^\w+$/.test(varName)) return stateMgr.read(this, attributes, varName);
+
+        // an expression - can read session values but only call model functions
+        var data = Object.assign({}, stateMgr.values(this, attributes), addlContext);
+        return expression.evaluate(varName, data, Object.assign({}, this.convoEngine.scriptModels, addlModels));
       },
       clear: (varName) => {
-        return requestStore.clear(varName);
+        return stateMgr.clear(this, requestStore, varName);
       },
       contains: (varName) => {
+        if (stateMgr.scopeOf(varName) == 'user') return this.user.contains(varName);
         return requestStore.contains(varName);
       },
       set: (varName, val) => {
-        requestStore.set(varName, val);
+        stateMgr.write(this, requestStore, varName, val);
+      }
+    };
+
+    /**
+     * What is kept about the user across sessions (keyed by the user id from
+     * the platform), for example their name or preferences. The profile is
+     * loaded before the script is called and saved after it responds - where
+     * it is kept is set via
+     * {@link module:conversationEngine~ConversationEngine#setUserProfileStore setUserProfileStore}.
+     *
+     * @example
+     *  response.user.set('name', response.get('name'));
+     *  ...
+     *  response.say(`Welcome back ${response.user.get('name')}`);
+     */
+    this.user = {
+      get: (varName) => {
+        return stateMgr.readUser(this, varName);
+      },
+      set: (varName, val) => {
+        stateMgr.writeUser(this, varName, val);
+      },
+      clear: (varName) => {
+        stateMgr.clearUser(this, varName);
+      },
+      contains: (varName) => {
+        return this.userState[varName] !== undefined;
       }
     };
   }
@@ -84,19 +113,69 @@ class Response {
    * Responds to the user. When an array is provided Violet picks a
    * random item - this allows responses to not be repetitive. Additionally
    * you can add input parameters directly in the response by adding them
-   * in [[]]
+   * in [[]], as well as conditionals, plurals, lists and formatting (see the
+   * {@link module:template template} module)
    *
    * @example
    *  response.say('Hello')
    *  response.say(['Hello', 'Hi'])
    *  response.say('I like the name [[name]]')
+   *  response.say("You have [[cases | plural('case')]]")
+   *  response.say({'en': 'Hello', 'de': 'Hallo'}) // picked by the user's locale
    * @param {string[]} potResponses - response or array of potential
-   * responses for the user
+   * responses for the user (or a map of locale:responses)
    * @param {boolean} [quick=false] - do not put a pause between the
    * previous say statement and this one
    */
   say(potResponses, quick=false) {this.outputMgr.say(this, potResponses, quick)}
 
+  /**
+   * Pauses before saying anything else.
+   *
+   * @example
+   *  response.say('Let me check');
+   *  response.pause(1000);
+   * @param {number} ms - milliseconds to pause for
+   */
+  pause(ms) {this.outputMgr.pause(this, ms)}
+
+  /**
+   * Says something with emphasis. Like the other methods that change how
+   * something is said, no pause is added before it so that it can be used in
+   * the middle of a sentence.
+   *
+   * @param {string[]} potResponses - response or array of potential responses
+   * @param {string} [level=moderate] - 'strong', 'moderate' or 'reduced'
+   */
+  emphasis(potResponses, level) {this.outputMgr.emphasis(this, potResponses, level)}
+
+  /**
+   * Says a value as a given type of value.
+   *
+   * @example
+   *  response.say('Your code is', true);
+   *  response.sayAs('1234', 'digits');
+   * @param {string} value - what is to be said
+   * @param {string} interpretAs - for example 'digits', 'characters', 'date'
+   *   or 'telephone'
+   * @param {string} [format] - for example 'mdy' for dates
+   */
+  sayAs(value, interpretAs, format) {this.outputMgr.sayAs(this, value, interpretAs, format)}
+
+  /**
+   * Plays an audio clip. Platforms that cannot play audio skip it.
+   *
+   * @param {string} url - https url of the audio clip
+   */
+  audio(url) {this.outputMgr.audio(this, url)}
+
+  /**
+   * Whispers to the user. Platforms that cannot whisper say it normally.
+   *
+   * @param {string[]} potResponses - response or array of potential responses
+   */
+  whisper(potResponses) {this.outputMgr.whisper(this, potResponses)}
+
   /**
    * Asks the user a question. Items being asked are placed after the say
    * statements. Additionally, only one ask is done at a time, giving the
@@ -107,13 +186,48 @@ class Response {
    */
   ask(potResponses) {this.outputMgr.ask(this, potResponses)}
 
+  /**
+   * Returns the locale of the user, for example 'en-GB'. Potential responses
+   * given as a map of locale:responses are picked using this locale.
+   *
+   * @returns {string} locale from the platform or the default locale
+   */
+  getLocale() {
+    return this.platReq.getLocale() || this.convoEngine.convo.defaultLocale;
+  }
+
+  /**
+   * Says again what was last said to the user (including any question that
+   * was asked) without changing the goals that need to be met. This is what
+   * the built-in *repeat* intent does.
+   *
+   * @returns {boolean} false if nothing has been said in this session
+   */
+  repeat() {return this.outputMgr.repeat(this);}
+
   /**
    * Ends the conversation after the response. By default Violet assumes
    * that you want to keep the conversation open.
    *
    * @default keepConversationRunning=true
    */
-  endConversation() {this.outputMgr.keepConversationRunning=false}
+  endConversation() {this.outputCtx.keepConversationRunning=false}
+
+  /**
+   * Returns what has happened earlier in this session - an array of turns
+   * (oldest first) where each turn has the `intent` name, the `slots` given,
+   * the goals before and after (`goalsBefore`, `goalsAfter`) and the `output`
+   * that was said. Only the most recent turns are kept.
+   *
+   * @example
+   *  violet.respondTo('What did you just say', (response) => {
+   *    var lastTurn = response.history().slice(-1)[0];
+   *    if (lastTurn) response.say(lastTurn.output);
+   *  });
+   */
+  history() {
+    return this.transcript;
+  }
 
   contains(varStr) {
     return (this.sessionStore.get(varStr) != undefined);
@@ -141,7 +255,9 @@ class Response {
   }
 
   /**
-   * Sets parameter value for access later
+   * Sets parameter value for access later. Values of variables declared with
+   * {@link module:conversationEngine~ConversationEngine#defineState defineState}
+   * are coerced to their type (and kept for their scope).
    *
    * @param {string} varStr - variable name
    * @param {Object} val - value attached to the variable
@@ -188,7 +304,7 @@ class Response {
     }
 
     if (!params.objName && !params.query) {
-      console.log('Need object or query to load');
+      this.log.warn('Need object or query to load');
       return Promise.resolve();
     }
 
@@ -199,22 +315,40 @@ class Response {
       params.queryXtra += ' limit 100';
 
     if (params.objName)
-      console.log('Loading object: ' + params.objName);
+      this.log.debug('Loading object', {objName: params.objName});
     else
-    console.log('Loading: ', params);
-    return this.convoEngine.persistentStore.load(params);
+      this.log.debug('Loading', {params});
+    return this._store().then(store=>{return store.load(params);});
   }
   store(objName, dataToStore) {
-    console.log('Storing object: ' + objName);
-    return this.convoEngine.persistentStore.store(objName, dataToStore);
+    this.log.debug('Storing object', {objName});
+    return this._store().then(store=>{return store.store(objName, dataToStore);});
   }
   update(objName, keyName, keyVal, updateData) {
-    console.log('Updating object: ' + objName);
-    return this.convoEngine.persistentStore.update(objName, keyName, keyVal, updateData);
+    this.log.debug('Updating object', {objName});
+    return this._store().then(store=>{return store.update(objName, keyName, keyVal, updateData);});
   }
   delete(objName, keyName, keyVal, deleteData) {
-    console.log('Deleting object: ' + objName);
-    return this.convoEngine.persistentStore.delete(objName, keyName, keyVal, deleteData);
+    this.log.debug('Deleting object', {objName});
+    return this._store().then(store=>{return store.delete(objName, keyName, keyVal, deleteData);});
+  }
+
+  // the persistent store for this request - stores that act on behalf of the
+  // user need the user to have linked their account and when they have not we
+  // ask them to (and end the conversation)
+  _store() {
+    var store = this.convoEngine.persistentStore;
+    return Promise.try(()=>{
+      return store.forRequest ? store.forRequest(this.platReq) : store;
+    }).catch(AccountLinkingError, (err)=>{
+      if (!this.accountLinkingRequested) {
+        this.accountLinkingRequested = true;
+        this.say(this.convoEngine.convo.accountLinkingPhrases);
+        this.platReq.requestAccountLinking();
+        this.endConversation();
+      }
+      throw err;
+    });
   }
 
   // goals support
@@ -226,10 +360,22 @@ class Response {
    * <br><br>
    * Once called Violet will call any defined goals after the current
    * *resolve* method finishes.
+   *
+   * @example
+   *  response.addGoal('confirmClose', {caseNumber: '1021'});
+   *  ...
+   *  violet.defineGoal({
+   *    goal: 'confirmClose',
+   *    resolve: (response, args) => {
+   *      response.say(`Closing case ${args.caseNumber}`);
+   *  }});
+   * @param {string} goal - name of the goal
+   * @param {Object} [args] - data about the goal that is stored in the session
+   * and given to the goal's *resolve* method (and those of its nested intents)
    */
-  addGoal(goal) {
+  addGoal(goal, args) {
     this.goalStateChanged = true;
-    this.convoEngine.addGoal(this, goal);
+    this.convoEngine.addGoal(this, goal, args);
   }
 
   /**
@@ -237,6 +383,14 @@ class Response {
    */
   hasGoal(goal) {return this.convoEngine.hasGoal(this, goal);}
 
+  /**
+   * Returns the data given when a goal was added (if it was added more than
+   * once, the data for the most recent one is returned).
+   *
+   * @param {string} goal - name of the goal
+   */
+  getGoalArgs(goal) {return this.convoEngine.getGoalArgs(this, goal);}
+
   /**
    * Clears goals
    */
@@ -261,7 +415,7 @@ class Response {
       this.set(destParamName, this.get(srcParamName));
       return true;
     }
-    console.log('*** param not found: ', srcParamName, ' --> ', destParamName);
+    this.log.warn('Param not found', {srcParamName, destParamName});
     return false;
   }
   isGoalFilled(paramName) {
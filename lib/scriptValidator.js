@@ -0,0 +1,114 @@
+/* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
+/* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
+
+/**
+ * Checks the Conversational Object Model of a script for mistakes that
+ * otherwise only show up when a user runs into them: goals that are used but
+ * never defined, variables in what users say with no input type, goals that
+ * nothing adds and prompts that cannot be answered.
+ *
+ * @module scriptValidator
+ */
+
+const paramsGRE = /\[\[([a-zA-Z0-9_]*)\]\]/g;
+// finds the goal names in `addGoal('x')`, `addGoal(`x${type}`)` and `ensureGoalFilled('x')`
+const goalRefGRE = /\b(?:addGoal|ensureGoalFilled)\(\s*(['"`])((?:(?!\1).)*)\1/g;
+
+var _escapeRE = (str)=>{return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');};
+
+/**
+ * Goals referenced by the scripts' callbacks - literal names are kept as is
+ * and template strings are kept as patterns (with the interpolated parts
+ * matching anything)
+ */
+var _goalRefsInFn = function(fn, literals, patterns) {
+  if (typeof fn != 'function') return;
+  if (fn.wrapped) _goalRefsInFn(fn.wrapped, literals, patterns);
+  var src = fn.toString();
+  var match;
+  goalRefGRE.lastIndex = 0;
+  while ((match = goalRefGRE.exec(src)) != null) {
+    var goalName = match[2];
+    if (match[1] == '`' && goalName.indexOf('${') != -1) {
+      var reStr = goalName.split(/\$\{[^}]*\}/).map(_escapeRE).join('.*');
+      patterns.push(new RegExp('^' + reStr + '$'));
+    } else {
+      literals.push(goalName);
+    }
+  }
+};
+
+/**
+ * Validates scripts when intents are registered.
+ * <br><br>
+ * Methods in this class are currently only used internally and therefore
+ * documentation is not exposed.
+ */
+class ScriptValidator {
+
+  /**
+   * @returns {Object[]} issues found, each with a `severity` ('error' or
+   *  'warning'), a `type` and a `message`
+   */
+  static validate(convo, {internalGoals=[], checkReachability=true}={}) {
+    var issues = [];
+    var report = (severity, type, message)=>{issues.push({severity, type, message});};
+
+    var intentDefs = [];
+    Object.keys(convo.userSpeechDef).forEach(userSpeechItem=>{
+      convo.userSpeechDef[userSpeechItem].forEach(intentDef=>{
+        if (intentDefs.indexOf(intentDef) == -1) intentDefs.push(intentDef);
+      });
+    });
+    var goalDefs = Object.keys(convo.registeredGoals).map(goalName=>{return convo.registeredGoals[goalName];});
+
+    // undeclared variables (these would otherwise silently become literals)
+    var undeclared = [];
+    Object.keys(convo.userSpeechDef).forEach(userSpeechItem=>{
+      var match;
+      paramsGRE.lastIndex = 0;
+      while ((match = paramsGRE.exec(userSpeechItem)) != null) {
+        var varName = match[1];
+        if (convo.keyTypes[varName] || undeclared.indexOf(varName) != -1) continue;
+        undeclared.push(varName);
+        report('error', 'undeclaredVariable', `Variable [[${varName}]] in '${userSpeechItem}' does not have an input type - declare it with addInputTypes`);
+      }
+    });
+
+    // goals that are used - by intents in them or by callbacks adding them
+    var literals = [], patterns = [];
+    intentDefs.forEach(intentDef=>{
+      _goalRefsInFn(intentDef.resolve, literals, patterns);
+      if (intentDef.goal && !convo.registeredGoals[intentDef.goal])
+        report('error', 'undefinedGoal', `Goal '${intentDef.goal}' used by '${intentDef.expecting[0]}' is not defined`);
+    });
+    goalDefs.forEach(goalDef=>{
+      _goalRefsInFn(goalDef.resolve, literals, patterns);
+      _goalRefsInFn(goalDef.onExpire, literals, patterns);
+    });
+    _goalRefsInFn(convo.unrecognizedResolve, literals, patterns);
+    literals.filter((goalName, ndx)=>{return literals.indexOf(goalName) == ndx;}).forEach(goalName=>{
+      if (!convo.registeredGoals[goalName] && internalGoals.indexOf(goalName) == -1)
+        report('error', 'undefinedGoal', `Goal '${goalName}' is added but not defined`);
+    });
+
+    goalDefs.forEach(goalDef=>{
+      var goalName = goalDef.goal;
+
+      // prompts that users cannot answer
+      if ((goalDef.prompt || goalDef.ask) && (!goalDef.respondTo || goalDef.respondTo.length == 0))
+        report('error', 'unansweredPrompt', `Goal '${goalName}' prompts the user but does not respondTo anything`);
+
+      // since goals can be added by computed names these are only warnings
+      if (!checkReachability || internalGoals.indexOf(goalName) != -1) return;
+      if (literals.indexOf(goalName) != -1 || patterns.some(re=>{return re.test(goalName);})) return;
+      if (convo.topLevelGoals.indexOf(goalName) != -1) return;
+      report('warning', 'unreachableGoal', `Goal '${goalName}' is defined but never added`);
+    });
+
+    return issues;
+  }
+
+}
+
+module.exports = ScriptValidator;
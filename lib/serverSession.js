@@ -0,0 +1,121 @@
+/* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
+/* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
+
+/**
+ * Keeps conversation state (goals, variables, etc) on the server instead of
+ * in the platform's session - so that it is not limited in size and cannot be
+ * read or changed by clients. Only a reference to the session is sent to the
+ * platform. Sessions that have not been used for a while expire.
+ * <br><br>
+ * Turned on per app via
+ * {@link module:conversationEngine~ConversationEngine#setSessionStore setSessionStore}.
+ * A store needs `get(sessionId, idleTimeout)`, `set(sessionId, attributes)`
+ * and `delete(sessionId)` methods that return promises - besides the one here,
+ * `violetStorePG` provides one that keeps sessions in Postgres.
+ *
+ * @module serverSession
+ */
+
+var Promise = require('bluebird');
+
+const sessionRefKey = 'violetSessionRef';
+const defaultIdleTimeout = 30*60*1000; // 30 minutes
+
+/**
+ * Keeps sessions in memory - sessions that have been idle for too long are
+ * removed as new ones are saved.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  _isExpired(entry, idleTimeout) {
+    return Date.now() - entry.lastAccess > idleTimeout;
+  }
+
+  get(sessionId, idleTimeout) {
+    var entry = this.sessions.get(sessionId);
+    if (!entry) return Promise.resolve(undefined);
+    if (this._isExpired(entry, idleTimeout)) {
+      this.sessions.delete(sessionId);
+      return Promise.resolve(undefined);
+    }
+    return Promise.resolve(entry.attributes);
+  }
+
+  set(sessionId, attributes, idleTimeout) {
+    this.sessions.delete(sessionId); // so that the least recently used are first
+    this.sessions.set(sessionId, {attributes, lastAccess: Date.now()});
+    for (let [id, entry] of this.sessions) {
+      if (!this._isExpired(entry, idleTimeout)) break;
+      this.sessions.delete(id);
+    }
+    return Promise.resolve();
+  }
+
+  delete(sessionId) {
+    this.sessions.delete(sessionId);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Swaps the platform's session for one that is kept on the server at the
+ * start of each request and saves it (sending only the reference to the
+ * platform) at the end of it.
+ * <br><br>
+ * Methods in this class are currently only used internally and therefore
+ * documentation is not exposed.
+ */
+class ServerSessionMgr {
+  constructor(store, {idleTimeout=defaultIdleTimeout}={}) {
+    this.store = store;
+    this.idleTimeout = idleTimeout;
+  }
+
+  _newSession(attributes) {
+    return {
+      getAttributes: () => {
+        return attributes;
+      },
+      get: (varStr) => {
+        return attributes[varStr];
+      },
+      set: (varStr, val) => {
+        attributes[varStr] = val;
+      },
+      contains: (varStr) => {
+        return varStr in attributes;
+      },
+      clear: (varStr) => {
+        delete attributes[varStr];
+      }
+    };
+  }
+
+  // calls cb (which handles the request) with the server-side session in place;
+  // the session is deleted when the response ends it
+  around(platReq, cb) {
+    var platformSession = platReq.getSession();
+    var sessionId = platReq.getSessionId();
+    var attributes = {};
+    return Promise.resolve(this.store.get(sessionId, this.idleTimeout))
+      .then((stored)=>{
+        attributes = stored || {};
+        platReq.useSession(this._newSession(attributes));
+        return cb(platReq);
+      })
+      .then((result)=>{
+        Object.keys(platformSession.getAttributes()).forEach(key=>{platformSession.clear(key);});
+        if (platReq.endsSession)
+          return Promise.resolve(this.store.delete(sessionId)).then(()=>{return result;});
+        platformSession.set(sessionRefKey, sessionId);
+        return Promise.resolve(this.store.set(sessionId, attributes, this.idleTimeout)).then(()=>{return result;});
+      });
+  }
+}
+
+module.exports = ServerSessionMgr;
+module.exports.MemorySessionStore = MemorySessionStore;
+module.exports.sessionRefKey = sessionRefKey;
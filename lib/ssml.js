@@ -0,0 +1,79 @@
+/* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
+/* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
+
+/**
+ * Output to users is built as a list of nodes (text, pauses, emphasis, etc)
+ * that each platform renders to SSML. Platforms that do not support a tag
+ * can downgrade it, for example whispering is only supported on Alexa and is
+ * said normally elsewhere.
+ *
+ * @module ssml
+ */
+
+var log = require('./log.js').logger('ssml');
+
+var escapeText = exports.escapeText = function(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+};
+var escapeAttr = exports.escapeAttr = function(str) {
+  return escapeText(str).replace(/"/g, '&quot;');
+};
+
+// node builders
+exports.text = (text)=>{return {type: 'text', text};};
+exports.pause = (ms)=>{return {type: 'break', ms};};
+exports.emphasis = (children, level='moderate')=>{return {type: 'emphasis', level, children};};
+exports.sayAs = (value, interpretAs, format)=>{return {type: 'sayAs', value, interpretAs, format};};
+exports.audio = (url)=>{return {type: 'audio', url};};
+exports.whisper = (children)=>{return {type: 'whisper', children};};
+exports.prosody = (children, rate)=>{return {type: 'prosody', rate, children};};
+
+/**
+ * Renderers for the tags in SSML 1.1 - each gets the node and the rendered
+ * children (for nodes with children)
+ */
+var renderers = exports.renderers = {
+  text: (node)=>{return escapeText(node.text);},
+  break: (node)=>{return `<break time="${node.ms}ms"/>`;},
+  emphasis: (node, inner)=>{return `<emphasis level="${escapeAttr(node.level)}">${inner}</emphasis>`;},
+  sayAs: (node)=>{
+    var format = node.format ? ` format="${escapeAttr(node.format)}"` : '';
+    return `<say-as interpret-as="${escapeAttr(node.interpretAs)}"${format}>${escapeText(node.value)}</say-as>`;
+  },
+  audio: (node)=>{return `<audio src="${escapeAttr(node.url)}"/>`;},
+  whisper: (node, inner)=>{return inner;}, // not in SSML 1.1
+  prosody: (node, inner)=>{return `<prosody rate="${escapeAttr(node.rate)}">${inner}</prosody>`;}
+};
+
+/**
+ * Renderers for platforms that do not support a tag - they keep what is said
+ * and drop the rest
+ */
+exports.downgrades = {
+  break: ()=>{return '';},
+  emphasis: (node, inner)=>{return inner;},
+  sayAs: (node)=>{return escapeText(node.value);},
+  audio: ()=>{return '';},
+  whisper: (node, inner)=>{return inner;},
+  prosody: (node, inner)=>{return inner;}
+};
+
+/**
+ * Renders nodes to SSML (without the outer speak tag)
+ *
+ * @param {Object[]} nodes - output to be rendered
+ * @param {Object} [platformRenderers] - renderers (by node type) to use
+ *   instead of the default ones, for example from the downgrades
+ * @returns {string} SSML
+ */
+var render = exports.render = function(nodes, platformRenderers={}) {
+  return nodes.map(node=>{
+    var renderer = platformRenderers[node.type] || renderers[node.type];
+    if (!renderer) {
+      log.error('Cannot render output of type', {type: node.type});
+      return '';
+    }
+    var inner = node.children ? render(node.children, platformRenderers) : undefined;
+    return renderer(node, inner);
+  }).join('');
+};
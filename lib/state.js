@@ -0,0 +1,214 @@
+/* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
+/* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
+
+/**
+ * Supports scripts declaring the variables that they keep (via
+ * {@link module:conversationEngine~ConversationEngine#defineState defineState}):
+ * values are coerced to the declared type when set, have defaults when not set
+ * and are kept for the declared scope:
+ * <ul>
+ * <li> `session` - for the conversation (the default)
+ * <li> `user` - across conversations, per user
+ * <li> `turn` - only for the current request
+ * </ul>
+ * Variables that are not declared are kept in the session as-is.
+ *
+ * @module state
+ */
+
+var Promise = require('bluebird');
+var MemoryProfileStore = require('./userProfile.js').MemoryProfileStore;
+
+const scopes = ['session', 'user', 'turn'];
+
+/**
+ * Thrown when a value cannot be coerced to the declared type of a variable
+ */
+class StateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StateError';
+  }
+}
+
+var _isoDate = function(val) {
+  var date = val instanceof Date ? val : new Date(val);
+  if (isNaN(date.getTime())) return undefined;
+  return date.toISOString();
+};
+
+/**
+ * Coercers for the types that variables can be declared as, each returns
+ * undefined when the value cannot be coerced. Apps can add their own types
+ * to this object.
+ */
+var types = {
+  string: (val)=>{return typeof val == 'object' ? undefined : String(val);},
+  number: (val)=>{
+    if (typeof val == 'string' && val.trim().length == 0) return undefined;
+    var num = Number(val);
+    return isNaN(num) ? undefined : num;
+  },
+  boolean: (val)=>{
+    if (typeof val == 'boolean') return val;
+    var str = String(val).toLowerCase();
+    if (['true', 'yes', '1'].indexOf(str) != -1) return true;
+    if (['false', 'no', '0'].indexOf(str) != -1) return false;
+    return undefined;
+  },
+  date: _isoDate,  // kept as an ISO string so that it survives the session
+  list: (val)=>{return Array.isArray(val) ? val : [val];},
+  object: (val)=>{return (typeof val == 'object' && !Array.isArray(val)) ? val : undefined;}
+};
+
+/**
+ * Keeps the declared variables and applies them when values are read and
+ * written, loading the user's profile (which has the user scoped values) at
+ * the start of a request and saving it (and clearing turn scoped values) at
+ * the end of it.
+ * <br><br>
+ * Methods in this class are currently only used internally and therefore
+ * documentation is not exposed.
+ */
+class StateMgr {
+  constructor() {
+    this.defs = {};
+    this.userStore = new MemoryProfileStore();
+  }
+
+  define(defs) {
+    Object.keys(defs).forEach(name=>{
+      var def = Object.assign({type: 'string', scope: 'session'}, defs[name]);
+      if (!types[def.type]) throw new StateError(`Unknown type '${def.type}' for state: ${name}`);
+      if (scopes.indexOf(def.scope) == -1) throw new StateError(`Unknown scope '${def.scope}' for state: ${name}`);
+      this.defs[name] = def;
+    });
+  }
+
+  setUserStore(store) {
+    this.userStore = store;
+  }
+
+  isDeclared(name) {
+    return this.defs.hasOwnProperty(name);
+  }
+
+  scopeOf(name) {
+    return this.isDeclared(name) ? this.defs[name].scope : 'session';
+  }
+
+  coerce(name, val) {
+    if (!this.isDeclared(name) || val === undefined || val === null) return val;
+    var type = this.defs[name].type;
+    var coerced = types[type](val);
+    if (coerced === undefined)
+      throw new StateError(`Cannot set ${name} to ${JSON.stringify(val)}: it is not a ${type}`);
+    return coerced;
+  }
+
+  _default(name) {
+    var defVal = this.defs[name].default;
+    // so that defaults do not get changed by scripts
+    return (defVal && typeof defVal == 'object') ? JSON.parse(JSON.stringify(defVal)) : defVal;
+  }
+
+  read(response, attributes, name) {
+    if (this.scopeOf(name) == 'user') return this.readUser(response, name);
+    var val = attributes[name];
+    if (val === undefined && this.isDeclared(name)) return this._default(name);
+    return val;
+  }
+
+  write(response, requestStore, name, val) {
+    if (this.scopeOf(name) == 'user') return this.writeUser(response, name, val);
+    requestStore.set(name, this.coerce(name, val));
+  }
+
+  clear(response, requestStore, name) {
+    if (this.scopeOf(name) == 'user') return this.clearUser(response, name);
+    return requestStore.clear(name);
+  }
+
+  // the user's profile has the user scoped values as well as anything else
+  // that scripts keep via response.user
+  readUser(response, name) {
+    var val = response.userState[name];
+    if (val === undefined && this.isDeclared(name)) return this._default(name);
+    return val;
+  }
+
+  writeUser(response, name, val) {
+    response.userState[name] = this.coerce(name, val);
+    response.userStateChanged = true;
+  }
+
+  clearUser(response, name) {
+    delete response.userState[name];
+    response.userStateChanged = true;
+  }
+
+  // what expressions can read: the session with user values and defaults
+  values(response, attributes) {
+    var values = Object.assign({}, attributes, response.userState);
+    Object.keys(this.defs).forEach(name=>{
+      if (values[name] === undefined) values[name] = this._default(name);
+    });
+    return values;
+  }
+
+  // slots are copied into the session (as they always have been), those that
+  // are declared are coerced - and skipped when they cannot be
+  copySlots(platReq) {
+    platReq.getSlots().forEach((slotName)=>{
+      if (this.scopeOf(slotName) == 'user') return; // done when loading
+      var val;
+      try {
+        val = this.coerce(slotName, platReq.getSlot(slotName));
+      } catch (err) {
+        platReq.log.warn('Not using slot - it is not the declared type', {slot: slotName, slots: {[slotName]: platReq.getSlot(slotName)}});
+        return;
+      }
+      platReq.log.debug('Copying slot to the session', {slot: slotName, slots: {[slotName]: val}});
+      platReq.getSession().set(slotName, val);
+    });
+  }
+
+  load(platReq, response) {
+    response.userState = {};
+    response.userStateChanged = false;
+    var userId = platReq.getUserId();
+    if (!userId) return Promise.resolve();
+    return Promise.resolve(this.userStore.get(userId)).then((values)=>{
+      response.userState = values || {};
+      platReq.getSlots().forEach((slotName)=>{
+        if (this.scopeOf(slotName) != 'user') return;
+        try {
+          response.set(slotName, platReq.getSlot(slotName));
+        } catch (err) {
+          platReq.log.warn('Not using slot - it is not the declared type', {slot: slotName, slots: {[slotName]: platReq.getSlot(slotName)}});
+        }
+      });
+    });
+  }
+
+  save(platReq, response) {
+    var session = platReq.getSession();
+    Object.keys(this.defs).forEach(name=>{
+      if (this.defs[name].scope == 'turn') session.clear(name);
+    });
+    if (!response.userStateChanged || !platReq.getUserId()) return Promise.resolve();
+    return Promise.resolve(this.userStore.set(platReq.getUserId(), response.userState));
+  }
+
+  // the declared shape - for tooling
+  describe() {
+    return Object.keys(this.defs).map(name=>{
+      var def = this.defs[name];
+      return {name, type: def.type, scope: def.scope, default: def.default};
+    });
+  }
+}
+
+module.exports = StateMgr;
+module.exports.StateError = StateError;
+module.exports.types = types;
@@ -1,6 +1,20 @@
 /* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
 /* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
 
+const log = require('./log.js');
+
+/**
+ * Thrown (or rejected with) by stores that act on behalf of the user when the
+ * user has not linked their account - Violet tells the user to link their
+ * account when this happens
+ */
+class AccountLinkingError extends Error {
+  constructor(message='The user has not linked their account') {
+    super(message);
+    this.name = 'AccountLinkingError';
+  }
+}
+
 /**
  * Class that primarily exists for documenting and defining what a store
  * plugin needs to support (they are expected to extend this class)
@@ -8,6 +22,21 @@
 class StorePlugin {
 
   constructor() {
+    this.log = log.logger(this.constructor.name);
+  }
+
+  // the store to use for a request (given the PlatformReq) - stores that act
+  // on behalf of the user add the user's credentials to it
+  forRequest(platReq) {
+    var reqStore = Object.create(this);
+    reqStore.platReq = platReq;
+    reqStore.log = platReq.log.child({component: this.log.fields.component});
+    return reqStore;
+  }
+
+  // set by the ConversationEngine so that queries are sent as events
+  setEventMgr(eventMgr) {
+    this.eventMgr = eventMgr;
   }
 
   // methods starting with _ are 'protected', i.e. only for use by implementing stores
@@ -41,6 +70,24 @@ class StorePlugin {
     return objProps.concat(this.defaultPropOfInterest);
   }
 
+  // runs (via runQueryCB which returns a promise) and emits an event for a query
+  _runQuery(query, runQueryCB) {
+    var startTime = Date.now();
+    var emit = (err)=>{
+      if (!this.eventMgr) return;
+      this.eventMgr.emit('store.query', this.platReq, {
+        query, durationMs: Date.now() - startTime, error: err ? err.message : undefined
+      });
+    };
+    return runQueryCB().then((result)=>{
+      emit();
+      return result;
+    }, (err)=>{
+      emit(err);
+      throw err;
+    });
+  }
+
   _buildQuery(params) {
     var q = 'SELECT ';
     if (params.query)
@@ -66,3 +113,4 @@ class StorePlugin {
 }
 
 module.exports = StorePlugin;
+module.exports.AccountLinkingError = AccountLinkingError;
@@ -0,0 +1,171 @@
+/* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
+/* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
+
+/**
+ * Renders the templates in what is said to users, i.e. in say, prompt and
+ * ask strings as well as in flow script `<say>` elements. Besides inserting
+ * values with `[[expr]]` templates support:
+ * <ul>
+ * <li> conditionals: `[[if expr]]...[[else]]...[[end]]` (`[[if !expr]]` for
+ *   the opposite)
+ * <li> filters on values: `[[expr | filter]]` or `[[expr | filter('arg')]]`
+ *   where filters can be chained, see {@link module:template.filters filters}
+ * </ul>
+ *
+ * @example
+ *  response.say("You have [[cases | plural('case')]][[if urgent]], one of them is urgent[[end]]");
+ *  response.say("Your cases are from [[accounts | list]] and are due [[dueDate | date]]");
+ * @module template
+ */
+
+var utils = require('./utils.js');
+var log = require('./log.js').logger('template');
+
+// innermost conditional first, i.e. one that does not have another in it
+const ifBlockRE = /\[\[\s*if\s+([^\]]+?)\s*\]\]((?:(?!\[\[\s*if\s)[\s\S])*?)\[\[\s*end\s*\]\]/;
+const elseRE = /\[\[\s*else\s*\]\]/;
+const valueGRE = /\[\[([\s\S]+?)\]\](?!\])/g; // allowing for a[0] in expressions
+const filterRE = /^(\w+)(?:\((.*)\))?$/;
+
+var _toNum = (value)=>{return Array.isArray(value) ? value.length : Number(value);};
+
+var _parseArgs = function(argsStr) {
+  if (!argsStr || argsStr.trim().length == 0) return [];
+  return argsStr.split(/,(?=(?:[^']*'[^']*')*[^']*$)/).map(arg=>{
+    arg = arg.trim();
+    if (/^'.*'$/.test(arg) || /^".*"$/.test(arg)) return arg.slice(1, -1);
+    return isNaN(Number(arg)) ? arg : Number(arg);
+  });
+};
+
+/**
+ * Filters that can be applied to values in templates, each is called with the
+ * value, the locale of the user and any arguments given in the template. Apps
+ * can add their own filters to this object.
+ */
+var filters = exports.filters = {
+  /**
+   * `[[cases | plural('case')]]` says '1 case' or '3 cases' (also works on
+   * arrays - by using their length); irregular plurals can be given as a
+   * second argument, for example `plural('child', 'children')`
+   */
+  plural: (value, locale, singular, plural)=>{
+    var num = _toNum(value);
+    if (plural == undefined) plural = singular + 's';
+    return `${num} ${num == 1 ? singular : plural}`;
+  },
+  /**
+   * `[[names | list]]` says 'a, b and c' and `[[names | list('or')]]` says
+   * 'a, b or c'
+   */
+  list: (value, locale, conjunction='and')=>{
+    if (!Array.isArray(value)) return value;
+    if (value.length == 0) return '';
+    return utils.getArrAsStr(value, conjunction);
+  },
+  /**
+   * `[[count | number]]` says numbers in words (for numbers up to 999 in
+   * english) or formatted for the locale
+   */
+  number: (value, locale)=>{
+    var num = _toNum(value);
+    if (isNaN(num)) return value;
+    var inEnglish = !locale || locale.toLowerCase().startsWith('en');
+    if (inEnglish && Number.isInteger(num) && num >= 0 && num < 1000) return utils.getNumAsStr(num);
+    return num.toLocaleString(locale);
+  },
+  /**
+   * `[[due | date]]` says 'Friday, January 5', `[[due | date('full')]]`
+   * includes the year and `[[due | date('time')]]` says the time
+   */
+  date: (value, locale, format='day')=>{
+    if (value == undefined) return value;
+    var options = {weekday: 'long', month: 'long', day: 'numeric'};
+    if (format == 'full') options.year = 'numeric';
+    if (format == 'time') options = {hour: 'numeric', minute: '2-digit'};
+    // dates without times (like those from the platforms) are not in any timezone
+    if (typeof value == 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) options.timeZone = 'UTC';
+    var date = new Date(value);
+    if (isNaN(date.getTime())) return value;
+    return date.toLocaleString(locale || 'en-US', options);
+  }
+};
+
+var _isTruthy = function(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value;
+};
+
+var _isPromise = (value)=>{return value != null && typeof value.then == 'function';};
+// calls fn with the value - once it has resolved if it is a promise
+var _then = (value, fn)=>{return _isPromise(value) ? value.then(fn) : fn(value);};
+
+var _renderConditionals = function(str, store) {
+  var match = ifBlockRE.exec(str);
+  if (!match) return str;
+  var expr = match[1].trim();
+  var negate = expr.startsWith('!');
+  if (negate) expr = expr.substr(1).trim();
+  var branches = match[2].split(elseRE);
+  return _then(store.get(expr), (value)=>{
+    var cond = _isTruthy(value);
+    if (negate) cond = !cond;
+    var rendered = cond ? branches[0] : (branches[1] || '');
+    return _renderConditionals(str.substring(0, match.index) + rendered + str.substring(match.index + match[0].length), store);
+  });
+};
+
+// splits on the filter pipes, i.e. on | but not on ||
+var _splitFilters = function(exprStr) {
+  var parts = [];
+  var start = 0;
+  for (var ndx = 0; ndx < exprStr.length; ndx++) {
+    if (exprStr[ndx] != '|') continue;
+    if (exprStr[ndx+1] == '|') {
+      ndx++; // skip the ||
+      continue;
+    }
+    parts.push(exprStr.substring(start, ndx));
+    start = ndx + 1;
+  }
+  parts.push(exprStr.substring(start));
+  return parts;
+};
+
+var _renderValue = function(exprStr, store, locale) {
+  var parts = _splitFilters(exprStr);
+  return _then(store.get(parts[0].trim()), (value)=>{
+    parts.slice(1).forEach(filterStr=>{
+      var filterMatch = filterRE.exec(filterStr.trim());
+      if (!filterMatch || !filters[filterMatch[1]]) {
+        log.error('Unknown template filter', {filter: filterStr.trim()});
+        return;
+      }
+      value = filters[filterMatch[1]].apply(null, [value, locale].concat(_parseArgs(filterMatch[2])));
+    });
+    return value;
+  });
+};
+
+/**
+ * Renders a template
+ *
+ * @param {string} str - template to render
+ * @param {Object} store - where values are got from (with a get method)
+ * @param {string} [locale] - locale of the user, used by some filters
+ * @returns {string} the rendered template (or a promise to it when any of
+ *   the values are promises, for example from asynchronous model functions)
+ */
+exports.render = function(str, store, locale) {
+  if (typeof str != 'string') return str;
+  return _then(_renderConditionals(str, store), (str)=>{
+    var values = [];
+    str.replace(valueGRE, (match, exprStr)=>{values.push(_renderValue(exprStr, store, locale));});
+    var insert = (values)=>{
+      var ndx = 0;
+      return str.replace(valueGRE, ()=>{return values[ndx++];});
+    };
+    if (values.some(_isPromise)) return Promise.all(values).then(insert);
+    return insert(values);
+  });
+};
@@ -0,0 +1,93 @@
+/* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
+/* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
+
+/**
+ * Keeps a bounded transcript of every turn in a session so that scripts can
+ * find out what was said earlier (via response.history()). The transcript is
+ * kept in the session and moves to a server-side store when it gets large.
+ *
+ * @module transcript
+ */
+
+var Promise = require('bluebird');
+
+const transcriptKey = 'convoHistory';
+
+/**
+ * Server-side store for transcripts that keeps them in memory - only the most
+ * recent sessions are kept.
+ */
+class MemoryTranscriptStore {
+  constructor(maxSessions=1000) {
+    this.maxSessions = maxSessions;
+    this.transcripts = new Map();
+  }
+
+  get(sessionId) {
+    return Promise.resolve(this.transcripts.get(sessionId));
+  }
+
+  set(sessionId, entries) {
+    this.transcripts.delete(sessionId); // so that it becomes the most recent
+    this.transcripts.set(sessionId, entries);
+    if (this.transcripts.size > this.maxSessions)
+      this.transcripts.delete(this.transcripts.keys().next().value);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Loads the transcript at the start of a request and records the turn at the
+ * end of it.
+ * <br><br>
+ * Methods in this class are currently only used internally and therefore
+ * documentation is not exposed.
+ */
+class TranscriptMgr {
+  constructor() {
+    this.maxTurns = 5;
+    this.maxSessionSize = 2000;  // characters of JSON kept in the session
+    this.store = new MemoryTranscriptStore();
+  }
+
+  setOptions({maxTurns, maxSessionSize, store}) {
+    if (maxTurns != undefined) this.maxTurns = maxTurns;
+    if (maxSessionSize != undefined) this.maxSessionSize = maxSessionSize;
+    if (store != undefined) this.store = store;
+  }
+
+  _isStored(transcript) {
+    return transcript && !Array.isArray(transcript) && transcript.stored;
+  }
+
+  load(platReq, response) {
+    response.transcript = [];
+    if (this.maxTurns == 0) return Promise.resolve();
+    var transcript = response.get(transcriptKey);
+    if (Array.isArray(transcript)) {
+      response.transcript = transcript;
+      return Promise.resolve();
+    }
+    if (!this._isStored(transcript)) return Promise.resolve();
+    return Promise.resolve(this.store.get(platReq.getSessionId())).then((entries)=>{
+      response.transcript = entries || [];
+    });
+  }
+
+  record(platReq, response, entry) {
+    if (this.maxTurns == 0) return Promise.resolve();
+    var entries = response.transcript.concat([entry]).slice(-this.maxTurns);
+    response.transcript = entries;
+
+    // once the transcript gets large it is kept on the server
+    if (this._isStored(response.get(transcriptKey)) || JSON.stringify(entries).length > this.maxSessionSize) {
+      response.set(transcriptKey, {stored: true});
+      return Promise.resolve(this.store.set(platReq.getSessionId(), entries));
+    }
+    response.set(transcriptKey, entries);
+    return Promise.resolve();
+  }
+}
+
+module.exports = TranscriptMgr;
+module.exports.MemoryTranscriptStore = MemoryTranscriptStore;
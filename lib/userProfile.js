@@ -0,0 +1,93 @@
+/* Copyright (c) 2017-present, salesforce.com, inc. All rights reserved */
+/* Licensed under BSD 3-Clause - see LICENSE.txt or git.io/sfdc-license */
+
+/**
+ * Stores for user profiles, i.e. what is kept about a user across sessions
+ * (via {@link module:response~Response#user response.user} and variables
+ * declared with a `user` scope). Profiles are keyed by the user id from the
+ * platform and are loaded at the start of every request and saved at the end
+ * of it when changed.
+ * <br><br>
+ * A store only needs `get(userId)` and `set(userId, profile)` methods that
+ * return promises - besides the ones here, `violetStorePG` provides one that
+ * keeps profiles in Postgres.
+ *
+ * @module userProfile
+ */
+
+var Promise = require('bluebird');
+var fs = require('fs');
+var path = require('path');
+var log = require('./log.js').logger('userProfile');
+
+/**
+ * Keeps profiles in memory - only the most recent users are kept and nothing
+ * survives a restart, so this is primarily for development and testing.
+ */
+class MemoryProfileStore {
+  constructor(maxUsers=1000) {
+    this.maxUsers = maxUsers;
+    this.users = new Map();
+  }
+
+  get(userId) {
+    return Promise.resolve(this.users.get(userId));
+  }
+
+  set(userId, profile) {
+    this.users.delete(userId); // so that it becomes the most recent
+    this.users.set(userId, profile);
+    if (this.users.size > this.maxUsers)
+      this.users.delete(this.users.keys().next().value);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Keeps profiles in a JSON file (as a map of user ids to profiles) - works
+ * well for apps with a single server and a modest number of users.
+ */
+class FileProfileStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.profiles = null;
+    this.writing = Promise.resolve();
+  }
+
+  _load() {
+    if (this.profiles) return Promise.resolve(this.profiles);
+    return Promise.fromCallback(cb=>{fs.readFile(this.filePath, 'utf8', cb);})
+      .then(contents=>{return JSON.parse(contents);})
+      .catch(err=>{
+        if (err.code == 'ENOENT') return {};
+        // not starting afresh, as the next write would lose everyone's profiles
+        log.error('Could not read user profiles', {filePath: this.filePath, error: err.message});
+        throw err;
+      })
+      .then(profiles=>{
+        if (!this.profiles) this.profiles = profiles;
+        return this.profiles;
+      });
+  }
+
+  get(userId) {
+    return this._load().then(profiles=>{return profiles[userId];});
+  }
+
+  set(userId, profile) {
+    return this._load().then(profiles=>{
+      profiles[userId] = profile;
+      // writes are queued so that the file is never written concurrently and
+      // are to a temporary file first so that it is never left half written
+      this.writing = this.writing.catch(()=>{}).then(()=>{
+        var tmpPath = this.filePath + '.tmp';
+        return Promise.fromCallback(cb=>{fs.writeFile(tmpPath, JSON.stringify(profiles, null, 2), cb);})
+          .then(()=>{return Promise.fromCallback(cb=>{fs.rename(tmpPath, this.filePath, cb);});});
+      });
+      return this.writing;
+    });
+  }
+}
+
+module.exports.MemoryProfileStore = MemoryProfileStore;
+module.exports.FileProfileStore = FileProfileStore;
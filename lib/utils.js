@@ -42,18 +42,102 @@ exports.getRand =  function(min, max) {
   return Math.floor(Math.random() * (max - min)) + min;
 };
 
+/**
+ * Returns a random number generator that always generates the same sequence
+ * for a given seed - helpful for reproducible tests
+ *
+ * @example
+ *   var getRand = utils.getSeededRand(42);
+ *   getRand(0, 10)
+ * @param {Number} seed - starting point of the sequence
+ * @returns {Function} function with the same parameters as getRand
+ */
+exports.getSeededRand = function(seed) {
+  var state = seed >>> 0;
+  return function(min, max) {
+    // mulberry32
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    var rand = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    return Math.floor(rand * (max - min)) + min;
+  };
+};
+
+/**
+ * Checks if a value is a map of locale:value pairs (as opposed to a string or
+ * an array of strings)
+ *
+ * @param {Object} value - value to check
+ */
+var _isLocaleMap = exports.isLocaleMap = function(value) {
+  return value != null && typeof value == 'object' && !Array.isArray(value);
+};
+
+/**
+ * Returns the locales to look for (most specific first) when picking a value
+ * for a given locale - the locale, its language, the default locale of the
+ * script, its language and then 'default'
+ *
+ * @example
+ *   utils.getLocaleChain('fr-FR', 'en-US')
+ *   // returns ['fr-FR', 'fr', 'en-US', 'en', 'default']
+ * @param {string} locale - locale of the request, for example 'en-GB'
+ * @param {string} [defaultLocale] - locale of the script, for example 'en-US'
+ */
+var _getLocaleChain = exports.getLocaleChain = function(locale, defaultLocale) {
+  var chain = [];
+  [locale, defaultLocale].forEach(l=>{
+    if (!l) return;
+    [l, l.split(/[-_]/)[0]].forEach(tgt=>{
+      if (!chain.includes(tgt)) chain.push(tgt);
+    });
+  });
+  chain.push('default');
+  return chain;
+};
+
+/**
+ * Picks the value for a locale from a map of locale:value pairs, falling back
+ * from the locale to its language, then to the default locale (and its
+ * language) and finally to the 'default' value. Values that are not maps are
+ * returned as is.
+ *
+ * @example
+ *   utils.forLocale({'en': 'Hello', 'de': 'Hallo'}, 'de-DE')
+ *   // returns 'Hallo'
+ * @param {Object} localizedValue - map of locale:value pairs (or a value)
+ * @param {string} locale - locale of the request, for example 'en-GB'
+ * @param {string} [defaultLocale] - locale of the script, for example 'en-US'
+ * @returns {Object} the value or undefined if none of the locales were found
+ */
+exports.forLocale = function(localizedValue, locale, defaultLocale) {
+  if (!_isLocaleMap(localizedValue)) return localizedValue;
+  var keys = Object.keys(localizedValue);
+  for (let tgtLocale of _getLocaleChain(locale, defaultLocale)) {
+    var key = keys.find(k=>{return k.toLowerCase() == tgtLocale.toLowerCase();});
+    if (key) return localizedValue[key];
+  }
+  return undefined;
+};
+
 /**
  * Converts an array to a string
  *
  * @example
  *   utils.getArrAsStr([1, 2, 3])
  *   // returns '1, 2 and 3'
+ *   utils.getArrAsStr([1, 2, 3], 'or')
+ *   // returns '1, 2 or 3'
  * @param {Object[]} arr - array of objects to be pulled togeter into a string
+ * @param {string} [conjunction=and] - word placed before the last item
  */
-exports.getArrAsStr = function(arr) {
+exports.getArrAsStr = function(arr, conjunction='and') {
   if (arr.length==1) return arr[0];
-  arr.splice(arr.length-1, 0, 'and');
-  return arr.join(', ').replace(', and, ', ' and ');
+  arr = arr.slice();
+  arr.splice(arr.length-1, 0, conjunction);
+  return arr.join(', ').replace(`, ${conjunction}, `, ` ${conjunction} `);
 }
 
 /** Converts numbers 0-999 to a string
@@ -99,15 +99,27 @@ module.exports.script = function(_appName, platforms) {
 
   var violet = new ConversationEngine(appName, platforms);
 
+  // built-in intents can be overridden by scripts using the same intent name
   if (violet.convo.closeRequests) {
     violet.respondTo({
       name: 'closeSession',
+      builtIn: true,
       expecting: violet.convo.closeRequests,
       resolve: (response) => {
         response.clearAllGoals();
         response.endConversation();
     }});
   }
+  if (violet.convo.repeatRequests) {
+    violet.respondTo({
+      name: 'repeat',
+      builtIn: true,
+      sameTurn: true,
+      expecting: violet.convo.repeatRequests,
+      resolve: (response) => {
+        if (!response.repeat()) response.say('Sorry, I have not said anything yet.');
+    }});
+  }
 
   appToVioletConversationEngines[appName] = violet;
   return violet;
@@ -3,17 +3,18 @@
 
 
 var ws = require('ws');
+var log = require('./log.js').logger('violetClientTx');
 
 var createWSSAndListenForClient = (violetSrvr, srvrInstance)=>{
   var wss = new ws.Server({ server: srvrInstance });
 
   wss.on('connection', (ws) => {
-    console.log('Client connected');
-    ws.on('close', () => console.log('Client disconnected'));
+    log.info('Client connected');
+    ws.on('close', () => log.info('Client disconnected'));
   });
 
   var broadcast = (jsonObj) => {
-    console.log('Broadcasting...', jsonObj);
+    log.debug('Broadcasting', {message: jsonObj});
     wss.clients.forEach((client) => {
       client.send(JSON.stringify(jsonObj));
     });
@@ -30,27 +31,27 @@ var createWSSAndListenForClient = (violetSrvr, srvrInstance)=>{
 
 module.exports = (violet, srvrInstance) => {
   if (violet.createAndListen) {
-    console.log('clientTx - server initialization');
+    log.info('Server initialization');
     return createWSSAndListenForClient(violet, srvrInstance);
   }
 
   // extend violet
-  console.log('clientTx - conversation initialization');
+  log.info('Conversation initialization');
 
   // setup basic notification functionality
-  violet.broadcast = () => {console.log('Broadcasting not initialized...');}
+  violet.broadcast = () => {log.warn('Broadcasting not initialized');}
   violet.setBroadcaster = (broadcaster) => {
     violet.broadcast = broadcaster;
   };
-  // reimplement _sendFromQueue to also broadcast
-  var oldSendFromQueue = violet.outputMgr.sendFromQueue;
-  violet.outputMgr.sendFromQueue = (resp, response, potResponses) => {
-    var outStr = oldSendFromQueue.call(violet.outputMgr, resp, response, potResponses);
-    if (!outStr) return;
-    violet.broadcast({
-      response: outStr
-    });
-  };
+  // broadcast everything that is said
+  violet.use({
+    beforeSend: (platReq, response, outStr) => {
+      if (!outStr) return;
+      violet.broadcast({
+        response: outStr
+      });
+    }
+  });
 
   var fAlert = [];
 
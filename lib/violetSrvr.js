@@ -12,6 +12,8 @@ var express = require('express');
 var http = require('http');
 
 var violet = require('./violet.js').server();
+var metrics = require('./metrics.js');
+var log = require('./log.js').logger('violetSrvr');
 
 const assetsDir = path.join(__dirname, '..', 'web-tooling-views');
 
@@ -24,6 +26,8 @@ module.exports = (prefix)=>{
   var expressApp = express();
   var srvrRouter = expressApp;
   var appNames = [];
+  var scripts = [];
+  var metricsRegistry = null; // set when metrics are exposed
   expressApp.use(express.static(assetsDir));
   if (prefix) {
     srvrRouter = express.Router();
@@ -57,6 +61,21 @@ module.exports = (prefix)=>{
       });
     },
 
+    /**
+     * Adds a Prometheus endpoint with metrics (see the
+     * {@link module:metrics metrics} module) for all the apps on the server
+     *
+     * @param [path=/metrics] - where the metrics should be made available
+     */
+    exposeMetricsAt: (path='/metrics')=>{
+      metricsRegistry = new metrics.MetricsRegistry();
+      scripts.forEach(script=>{script.addEventSink(metricsRegistry.sink());});
+      expressApp.get(path, (req, res)=>{
+        res.set('Content-Type', metrics.contentType);
+        res.send(metricsRegistry.render());
+      });
+    },
+
     /**
      * Core Method that launches the web server to listen for incoming requests
      *
@@ -77,13 +96,19 @@ module.exports = (prefix)=>{
       var host = srvrInstance.address().address;
       var port = srvrInstance.address().port;
       if (host=='::') host='localhost'
-      console.log(`>>> Script running at: http://${host}:${port}${prefix}/${script.getAppName()}`);
+      log.info('Script running', {url: `http://${host}:${port}${prefix}/${script.getAppName()}`});
     },
 
     installTooling: (appRouter, script)=>{
       appRouter.get('/', (req, res)=>{
         res.sendFile("tool.html", {"root": assetsDir});
       });
+      // the variables declared by the script
+      appRouter.get('/state', (req, res)=>{
+        res.json(script.getStateShape());
+      });
+      scripts.push(script);
+      if (metricsRegistry) script.addEventSink(metricsRegistry.sink());
       violetSrvr.displayScriptInitialized(srvrInstance, script);
     },
 
@@ -14,10 +14,12 @@
 // only load is implemented, need to implement store and update
 const StorePlugin = require('./storePlugin.js');
 var pg = require('pg');
+var log = require('./log.js').logger('violetStorePG');
 
 var client = null;
 var connectionCB = [];
 var _connectToDB = function() {
+  connectionCB = connectionCB || [];
   if (process.env.DATABASE_URL) {
     client = new pg.Client({
       connectionString: process.env.DATABASE_URL,
@@ -27,15 +29,22 @@ var _connectToDB = function() {
     client = new pg.Client();
   }
 
-  console.log('Connecting to Postgres');
+  log.info('Connecting to Postgres');
   return client.connect().then(()=>{
-    console.log('Connected to Postgres');
+    log.info('Connected to Postgres');
     connectionCB.forEach(cb=>{cb()});
     connectionCB = null;
     return Promise.resolve(client);
   });
 }
 _connectToDB();
+var _whenConnected = function() {
+  if (client == null) return _connectToDB();                  // likely someone already cleaned-up
+  if (connectionCB == null) return Promise.resolve(client);   // already connected
+  return new Promise(function(resolve, reject) {              // trying to connect - add ourselves to the CB
+    connectionCB.push(()=>{resolve(client)});
+  });
+};
 
 
 /**
@@ -99,19 +108,19 @@ class VioletStorePG extends StorePlugin {
   load(params) {
     // console.log('this.load: ' + params.objName, this._objProps(params));
     var q = this._buildQuery(params);
-    console.log('sql: ' + q);
+    this.log.debug('Querying', {sql: q});
 
-    return client.query(q).then(function(resp){
+    return this._runQuery(q, ()=>{return client.query(q);}).then((resp)=>{
       // console.log(resp);
       if (!resp.rows) {
-        console.log('no results');
+        this.log.debug('No results');
         return;
-      } else console.log('found ' + resp.rows.length + ' records');
+      } else this.log.debug('Found records', {count: resp.rows.length});
 
       return resp.rows;
 
     }).catch((err)=>{
-      console.log('sfdc query err', err);
+      this.log.error('Query failed', {error: err});
     });
   }
 
@@ -140,11 +149,11 @@ class VioletStorePG extends StorePlugin {
     var objValues =  objKeys.map(k=>{return dataToStore[k]});
     var insertValues = Object.keys(objKeys).map(k=>{return '$'+(parseInt(k)+1)});
     var insertStmt = `insert into ${this._getCompoundNameToStr(objName)} (${objKeys.join(', ')}) values (${insertValues.join(', ')})`;
-    console.log('storing: ' + insertStmt, objValues);
-    return client.query({text: insertStmt, values: objValues}).then(()=>{
-      console.log('Stored');
+    this.log.debug('Storing', {sql: insertStmt, values: objValues});
+    return this._runQuery(insertStmt, ()=>{return client.query({text: insertStmt, values: objValues});}).then(()=>{
+      this.log.debug('Stored');
     }).catch((err)=>{
-      console.log('pg store err', err);
+      this.log.error('Store failed', {error: err});
     });
   }
 
@@ -178,11 +187,11 @@ class VioletStorePG extends StorePlugin {
               SET (${objKeys.join(', ')}) = (${updateValues.join(', ')})
               WHERE ${this._getCompoundNameToStr(keyName)} = '${keyVal}'`;
 
-    console.log('updating: ' + updateStmt, objValues);
-    return client.query({ text: updateStmt, values: objValues }).then(function(){
-      console.log('Updated');
+    this.log.debug('Updating', {sql: updateStmt, values: objValues});
+    return this._runQuery(updateStmt, ()=>{return client.query({ text: updateStmt, values: objValues });}).then(()=>{
+      this.log.debug('Updated');
     }).catch((err)=>{
-      console.log('pg update err', err);
+      this.log.error('Update failed', {error: err});
     });
   }
 
@@ -208,17 +217,118 @@ class VioletStorePG extends StorePlugin {
     var deleteStmt = `Delete FROM ${this._getCompoundNameToStr(objName)}
               WHERE ${this._getCompoundNameToStr(keyName)} = '${keyVal}'`;
 
-    console.log('deleting: ' + deleteStmt);
-    return client.query(deleteStmt).then(function(){
-      console.log('Deleted');
+    this.log.debug('Deleting', {sql: deleteStmt});
+    return this._runQuery(deleteStmt, ()=>{return client.query(deleteStmt);}).then(()=>{
+      this.log.debug('Deleted');
     }).catch((err)=>{
-      console.log('pg delete err', err);
+      this.log.error('Delete failed', {error: err});
     });
   }
 
 
 };
 
+/**
+ * Keeps user profiles (see the {@link module:userProfile userProfile} module)
+ * as JSON in a Postgres table keyed by the user id - the table is created if
+ * it does not exist.
+ */
+class PGProfileStore {
+  constructor(tableName='violet_user_profiles') {
+    this.tableName = tableName;
+    this.tableReady = null;
+  }
+
+  _ready() {
+    if (!this.tableReady) {
+      this.tableReady = _whenConnected().then(()=>{
+        return client.query(`create table if not exists ${this.tableName}
+            (user_id text primary key, profile jsonb not null, updated_at timestamptz default now())`);
+      });
+    }
+    return this.tableReady;
+  }
+
+  get(userId) {
+    return this._ready().then(()=>{
+      return client.query({text: `select profile from ${this.tableName} where user_id = $1`, values: [userId]});
+    }).then((resp)=>{
+      if (resp.rows.length == 0) return undefined;
+      return resp.rows[0].profile;
+    });
+  }
+
+  set(userId, profile) {
+    return this._ready().then(()=>{
+      return client.query({
+        text: `insert into ${this.tableName} (user_id, profile) values ($1, $2)
+              on conflict (user_id) do update set profile = excluded.profile, updated_at = now()`,
+        values: [userId, JSON.stringify(profile)]
+      });
+    });
+  }
+}
+
+/**
+ * Keeps sessions (see the {@link module:serverSession serverSession} module)
+ * as JSON in a Postgres table keyed by the session id - the table is created
+ * if it does not exist and expired sessions are removed periodically.
+ */
+class PGSessionStore {
+  constructor(tableName='violet_sessions') {
+    this.tableName = tableName;
+    this.tableReady = null;
+    this.lastSweep = 0;
+  }
+
+  _ready() {
+    if (!this.tableReady) {
+      this.tableReady = _whenConnected().then(()=>{
+        return client.query(`create table if not exists ${this.tableName}
+            (session_id text primary key, attributes jsonb not null, updated_at timestamptz default now())`);
+      });
+    }
+    return this.tableReady;
+  }
+
+  get(sessionId, idleTimeout) {
+    return this._ready().then(()=>{
+      return client.query({
+        text: `select attributes from ${this.tableName}
+              where session_id = $1 and updated_at > now() - $2 * interval '1 millisecond'`,
+        values: [sessionId, idleTimeout]
+      });
+    }).then((resp)=>{
+      if (resp.rows.length == 0) return undefined;
+      return resp.rows[0].attributes;
+    });
+  }
+
+  set(sessionId, attributes, idleTimeout) {
+    return this._ready().then(()=>{
+      return client.query({
+        text: `insert into ${this.tableName} (session_id, attributes) values ($1, $2)
+              on conflict (session_id) do update set attributes = excluded.attributes, updated_at = now()`,
+        values: [sessionId, JSON.stringify(attributes)]
+      });
+    }).then(()=>{
+      // remove expired sessions at most once a minute
+      if (Date.now() - this.lastSweep < 60*1000) return;
+      this.lastSweep = Date.now();
+      return client.query({
+        text: `delete from ${this.tableName} where updated_at < now() - $1 * interval '1 millisecond'`,
+        values: [idleTimeout]
+      });
+    });
+  }
+
+  delete(sessionId) {
+    return this._ready().then(()=>{
+      return client.query({text: `delete from ${this.tableName} where session_id = $1`, values: [sessionId]});
+    });
+  }
+}
+
 // module.exports.store = pgStore;
 module.exports = function(violet) {
   var pgStore = new VioletStorePG();
@@ -233,11 +343,25 @@ module.exports = function(violet) {
      */
     connect: ()=>{
       connectionsCnt++;
-      if (client == null) return _connectToDB();                  // likely someone already cleaned-up
-      if (connectionCB == null) return Promise.resolve(client);   // already connected
-      return new Promise(function(resolve, reject) {              // trying to connect - add ourselves to the CB
-        connectionCB.push(()=>{resolve(client)});
-      });
+      return _whenConnected();
+    },
+    /**
+     * Returns a store that keeps user profiles in Postgres, to be given to
+     * {@link module:conversationEngine~ConversationEngine#setUserProfileStore setUserProfileStore}
+     *
+     * @param [tableName=violet_user_profiles] - table where profiles are kept
+     */
+    profileStore: (tableName)=>{
+      return new PGProfileStore(tableName);
+    },
+    /**
+     * Returns a store that keeps sessions in Postgres, to be given to
+     * {@link module:conversationEngine~ConversationEngine#setSessionStore setSessionStore}
+     *
+     * @param [tableName=violet_sessions] - table where sessions are kept
+     */
+    sessionStore: (tableName)=>{
+      return new PGSessionStore(tableName);
     },
     /**
      * Close connection to the DB
@@ -245,7 +369,7 @@ module.exports = function(violet) {
     cleanup: ()=>{
       connectionsCnt--;
       if (connectionsCnt > 0) return;
-      console.log('Cleaning connection to Postgres');
+      log.info('Cleaning connection to Postgres');
       client.end();
       client = null;
     },
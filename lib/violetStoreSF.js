@@ -18,33 +18,51 @@
  */
 
 const StorePlugin = require('./storePlugin.js');
+const AccountLinkingError = StorePlugin.AccountLinkingError;
 var nforce = require('nforce');
-var org = nforce.createConnection({
-  clientId: process.env.V_SFDC_CLIENT_ID,
-  clientSecret: process.env.V_SFDC_CLIENT_SECRET,
-  redirectUri: 'http://localhost:3000/oauth/_callback',
-  // apiVersion: 'v27.0',  // optional, defaults to current salesforce API version
-  // environment: 'production',  // optional, salesforce 'sandbox' or 'production', production default
-  autoRefresh: true,
-  onRefresh: function(newOauth, oldOauth, cb) {
-    console.log('SF Refresh Access Token - old: ', oldOauth.access_token);
-    console.log('SF Refresh Access Token - new: ', newOauth.access_token);
-    cb();
-  },
-  mode: 'single' // optional, 'single' or 'multi' user mode, multi default
-});
-var connectionCB = [];
-org.authenticate({ username: process.env.V_SFDC_USERNAME, password: process.env.V_SFDC_PASSWORD}, function(err, resp){
-  // the oauth object was stored in the connection object
-  if (err) {
-    console.log('err: ', err);
-    return;
+var log = require('./log.js').logger('violetStoreSF');
+// one connection per mode, so that stores with and without perUser can be
+// used together
+var connections = {};
+
+// in single user mode we log in as the user in the environment, in multi user
+// mode every query is made with the access token of the user making the request
+// (from account linking) and so there is nothing to log in to
+var _connect = function(perUser) {
+  var mode = perUser ? 'multi' : 'single';
+  if (connections[mode]) return connections[mode];
+  var connection = {connectionCB: []};
+  connection.org = nforce.createConnection({
+    clientId: process.env.V_SFDC_CLIENT_ID,
+    clientSecret: process.env.V_SFDC_CLIENT_SECRET,
+    redirectUri: 'http://localhost:3000/oauth/_callback',
+    // apiVersion: 'v27.0',  // optional, defaults to current salesforce API version
+    // environment: 'production',  // optional, salesforce 'sandbox' or 'production', production default
+    autoRefresh: !perUser,
+    onRefresh: function(newOauth, oldOauth, cb) {
+      log.info('Refreshed the access token');
+      cb();
+    },
+    mode: mode // optional, 'single' or 'multi' user mode, multi default
+  });
+  connections[mode] = connection;
+  if (perUser) {
+    connection.connectionCB = null;
+    return connection;
   }
+  connection.org.authenticate({ username: process.env.V_SFDC_USERNAME, password: process.env.V_SFDC_PASSWORD}, function(err, resp){
+    // the oauth object was stored in the connection object
+    if (err) {
+      log.error('Could not authenticate', {error: err});
+      return;
+    }
 
-  console.log('SF Access Token: ' + org.oauth.access_token);
-  connectionCB.forEach(cb=>{cb()});
-  connectionCB = null;
-});
+    log.info('Authenticated');
+    connection.connectionCB.forEach(cb=>{cb()});
+    connection.connectionCB = null;
+  });
+  return connection;
+};
 
 const builtIn='*';
 
@@ -55,9 +73,34 @@ const builtIn='*';
  * Force.com).
  */
 class VioletStoreSF extends StorePlugin {
-  constructor() {
+  constructor({perUser=false, instanceUrl=process.env.V_SFDC_INSTANCE_URL}={}) {
     super();
     this.defaultPropOfInterest = ['Id*', 'CreatedDate*'];
+    this.perUser = perUser;
+    this.instanceUrl = instanceUrl;
+    this.oauth = null; // set on the per-request store when perUser
+    this.connection = null; // set when connecting
+  }
+
+  get org() {
+    return this.connection.org;
+  }
+
+  // when perUser, returns a store that makes its queries with the access
+  // token of the user's linked account
+  forRequest(platReq) {
+    if (!this.perUser) return super.forRequest(platReq);
+    var accessToken = platReq.getAccessToken();
+    if (!accessToken) throw new AccountLinkingError();
+    var userStore = super.forRequest(platReq);
+    userStore.oauth = {access_token: accessToken, instance_url: this.instanceUrl};
+    return userStore;
+  }
+
+  // adds the user's credentials to the options of an nforce call
+  _withOAuth(opts) {
+    if (this.oauth) opts.oauth = this.oauth;
+    return opts;
   }
 
   _nameToStr(commonName) {
@@ -70,7 +113,7 @@ class VioletStoreSF extends StorePlugin {
   _getCompoundProperty(obj, prop) {
     var __nget=(o,p)=>{
       if (o==null) {
-        console.log('Trying to get property: ' + prop + ' from null');
+        this.log.warn('Trying to get property from null', {prop});
         return null;
       }
       if (o.get)
@@ -148,13 +191,13 @@ class VioletStoreSF extends StorePlugin {
   load(params) {
     // console.log('VioletStoreSF.load: ' + params.objName, this._objProps(params));
     var q = this._buildQuery(params);
-    console.log('soql: ' + q);
+    this.log.debug('Querying', {soql: q});
 
-    return org.query({ query: q }).then(resp => {
+    return this._runQuery(q, ()=>{return this.org.query(this._withOAuth({ query: q }));}).then(resp => {
       if (!resp.records) {
-        console.log('no results');
+        this.log.debug('No results');
         return;
-      } else console.log('found ' + resp.records.length + ' records');
+      } else this.log.debug('Found records', {count: resp.records.length});
 
       var objProperties = this._objProps(params);
       if (objProperties.length==0) {
@@ -173,7 +216,7 @@ class VioletStoreSF extends StorePlugin {
       //console.log('memRecords', memRecords);
       return memRecords;
     }).catch((err)=>{
-      console.log('sfdc query err', err);
+      this.log.error('Query failed', {error: err});
     });
   }
 
@@ -196,18 +239,18 @@ class VioletStoreSF extends StorePlugin {
     // we pull properties from a hardcoded 'search' object, call the method
     // `search` instead of `query` and get results in `searchRecords` instead of
     // `records`
-    console.log('VioletStoreSF.search: ' + searchStr + ' in ' + objName);
+    this.log.debug('Searching', {searchStr, objName});
     var q = 'FIND {' + searchStr + '} IN ALL FIELDS RETURNING ' + this._getCompoundNameToStr(objName) + '(';
     q+= this._dedupe(this._objProps({objName}).map((p)=>{return this._getCompoundNameToStr(p);})).join(', ');
     q+=" WHERE PublishStatus='Online' AND LANGUAGE ='en_US')"
-    console.log('sosl: ' + q);
+    this.log.debug('Searching', {sosl: q});
 
-    return org.search({ search: q/*, raw: true*/ }).then(resp => {
+    return this._runQuery(q, ()=>{return this.org.search(this._withOAuth({ search: q/*, raw: true*/ }));}).then(resp => {
       // console.log(resp);
       if (!resp.searchRecords) {
-        console.log('no results');
+        this.log.debug('No results');
         return;
-      } else console.log('found ' + resp.searchRecords.length + ' records');
+      } else this.log.debug('Found records', {count: resp.searchRecords.length});
 
       var memRecords = [];
       resp.searchRecords.forEach((rec)=>{
@@ -220,7 +263,7 @@ class VioletStoreSF extends StorePlugin {
       //console.log('memRecords', memRecords);
       return memRecords;
     }).catch((err)=>{
-      console.log('sfdc search err', err);
+      this.log.error('Search failed', {error: err});
     });
   }
 
@@ -247,13 +290,13 @@ class VioletStoreSF extends StorePlugin {
   store(objName, dataToStore) {
     var dl = nforce.createSObject(this._getCompoundNameToStr(objName));
     // console.log(dataToStore);
-    console.log('storing: ' + objName, dataToStore);
+    this.log.debug('Storing', {objName, values: dataToStore});
     for(var key in dataToStore){
       dl.set(this._getCompoundNameToStr(key), dataToStore[key]);
     }
 
-    return org.insert({ sobject: dl }).then(()=>{
-      console.log('Stored');
+    return this._runQuery('INSERT ' + dl.getType(), ()=>{return this.org.insert(this._withOAuth({ sobject: dl }));}).then(()=>{
+      this.log.debug('Stored');
     });
   }
 
@@ -282,25 +325,25 @@ class VioletStoreSF extends StorePlugin {
     // console.log('VioletStoreSF.update: ' + objName, this._objProps({objName}));
     var q = this._buildQuery({objName, keyName, keyVal});
     q+=' LIMIT 1';
-    console.log('soql: ' + q);
+    this.log.debug('Querying', {soql: q});
 
-    return org.query({ query: q }).then(resp => {
+    return this._runQuery(q, ()=>{return this.org.query(this._withOAuth({ query: q }));}).then(resp => {
       if (!resp.records || resp.records.length == 0) {
-        console.log('no results');
+        this.log.debug('No results');
         return;
       }
 
       var dbObj = resp.records[0];
 
-      console.log('query succeded... updating: ' + objName, updateData);
+      this.log.debug('Updating', {objName, values: updateData});
       for(var key in updateData){
         dbObj.set(this._getCompoundNameToStr(key), updateData[key]);
       }
 
-      return org.update({ sobject: dbObj }).then(()=>{ console.log('Updated'); });
+      return this._runQuery('UPDATE ' + dbObj.getType(), ()=>{return this.org.update(this._withOAuth({ sobject: dbObj }));}).then(()=>{ this.log.debug('Updated'); });
 
     }).catch((err)=>{
-      console.log('sfdc update err', err);
+      this.log.error('Update failed', {error: err});
     });
   }
 
@@ -325,29 +368,45 @@ class VioletStoreSF extends StorePlugin {
     // console.log('VioletStoreSF.delete: ' + objName, this._objProps({objName}));
     var q = this._buildQuery({objName, keyName, keyVal});
     q+=' LIMIT 1';
-    console.log('soql: ' + q);
+    this.log.debug('Querying', {soql: q});
 
-    return org.query({ query: q }).then(function(resp){
+    return this._runQuery(q, ()=>{return this.org.query(this._withOAuth({ query: q }));}).then((resp)=>{
       if (!resp.records || resp.records.length == 0) {
-        console.log('no results');
+        this.log.debug('No results');
         return;
       }
 
       var dbObj = resp.records[0];
 
-      console.log('query succeded... deleting: ' + objName);
+      this.log.debug('Deleting', {objName});
 
-      return org.delete({ sobject: dbObj }).then(()=>{ console.log('Deleted'); });
+      return this._runQuery('DELETE ' + dbObj.getType(), ()=>{return this.org.delete(this._withOAuth({ sobject: dbObj }));}).then(()=>{ this.log.debug('Deleted'); });
 
     }).catch((err)=>{
-      console.log('sfdc delete err', err);
+      this.log.error('Delete failed', {error: err});
     });
   }
 
 };
 
-module.exports = function(violet) {
-  var sfStore = new VioletStoreSF();
+/**
+ * Connects to Salesforce and (when violet is given) sets the store as the
+ * persistent store for the script.
+ *
+ * @example <caption>querying as the user (via account linking)</caption>
+ * var violetSFStore = require('violet/lib/violetStoreSF.js')(violet, {perUser: true});
+ * @param {Object} violet - the script's conversation engine
+ * @param {Object} options - options
+ * @param {boolean} options.perUser - when true queries are made with the
+ *   access token of the user's linked account (using nforce's multi user mode)
+ *   instead of as the user in V_SFDC_USERNAME; users who have not linked their
+ *   account are asked to
+ * @param {string} options.instanceUrl - the Salesforce instance that access
+ *   tokens are for, defaults to V_SFDC_INSTANCE_URL
+ */
+module.exports = function(violet, options={}) {
+  var sfStore = new VioletStoreSF(options);
+  sfStore.connection = _connect(sfStore.perUser);
   if (violet) violet.setPersistentStore(sfStore);
   return {
     /**
@@ -355,9 +414,10 @@ module.exports = function(violet) {
      * Salesforce API's
      */
     connected: ()=>{
-      if (connectionCB == null) return Promise.resolve();
+      var connection = sfStore.connection;
+      if (connection.connectionCB == null) return Promise.resolve();
       return new Promise(function(resolve, reject) {
-        connectionCB.push(()=>{resolve()});
+        connection.connectionCB.push(()=>{resolve()});
       });
     },
     /** Allows access to the store */
@@ -8,6 +8,8 @@
  * @module violetTime
  */
 
+var log = require('./log.js').logger('violetTime');
+
 module.exports = (violet) => {
   var simulatedTimeDeltaInMinutes = 0;
 
@@ -44,7 +46,7 @@ module.exports = (violet) => {
   };
   var _addRepeatingTimedAlert = (tgtTimeInMinutes, repeatInMin, resolve) => {
     if (tgtTimeInMinutes<_currentTimeInMin) {
-      console.log('*** ERR: Tried to schedule alert in past');
+      log.error('Tried to schedule alert in past', {tgtTimeInMinutes});
       return;
     }
     timedAlerts.push({tgtTimeInMinutes, repeatInMin, resolve});
@@ -0,0 +1,35 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var EventMgr = require('../lib/events');
+
+describe('events', function() {
+
+  it('should append events to a jsonl file', function() {
+    var filePath = path.join(os.tmpdir(), `violet-events-${process.pid}.jsonl`);
+    var sink = new EventMgr.JsonlFileSink(filePath);
+    var eventMgr = new EventMgr('test');
+    eventMgr.addSink(sink);
+    eventMgr.emit('goal.added', null, {goal: 'flightDetails'});
+    eventMgr.emit('goal.cleared', null, {goal: 'flightDetails'});
+    return sink.flush().then(()=>{
+      var events = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line=>{return JSON.parse(line);});
+      fs.unlinkSync(filePath);
+      assert.deepEqual(['goal.added', 'goal.cleared'], events.map(e=>{return e.type;}));
+      assert.equal('test', events[0].app);
+      assert.equal('flightDetails', events[0].goal);
+      assert.ok(!isNaN(Date.parse(events[0].time)));
+    });
+  });
+
+  it('should not let failing sinks affect other sinks', function() {
+    var received = [];
+    var eventMgr = new EventMgr('test');
+    eventMgr.addSink(()=>{throw new Error('sink down');});
+    eventMgr.addSink({write: (event)=>{received.push(event.type);}});
+    eventMgr.emit('error', null, {error: 'oops'});
+    assert.deepEqual(['error'], received);
+  });
+
+});
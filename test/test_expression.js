@@ -0,0 +1,71 @@
+var expression = require('../lib/expression');
+var assert = require('assert');
+
+describe('expression', function() {
+
+  var models = {
+    app: {
+      add: (a, b)=>{return a + b;},
+      double: (n)=>{return Promise.resolve(n * 2);},
+      fail: ()=>{throw new Error('model failed');}
+    }
+  };
+  var evalErr = (exprStr, data)=>{
+    try {
+      expression.evaluate(exprStr, data, models);
+    } catch (err) {
+      return err;
+    }
+    assert.fail(`expected '${exprStr}' to fail`);
+  };
+
+  it('should evaluate operators with javascript precedence', function() {
+    assert.equal(7, expression.evaluate('1 + 2 * 3'));
+    assert.equal(9, expression.evaluate('(1 + 2) * 3'));
+    assert.equal(true, expression.evaluate("count > 2 && name == 'Ann'", {count: 3, name: 'Ann'}));
+    assert.equal('few', expression.evaluate("count > 2 ? 'many' : 'few'", {count: 1}));
+    assert.equal(false, expression.evaluate('!vip', {vip: true}));
+    assert.equal('none', expression.evaluate("missing || 'none'"));
+  });
+
+  it('should read variables and their properties', function() {
+    var data = {user: {name: 'Ann'}, cases: ['a', 'b']};
+    assert.equal('Ann', expression.evaluate('user.name', data));
+    assert.equal('b', expression.evaluate('cases[1]', data));
+    assert.equal(2, expression.evaluate('cases.length', data));
+  });
+
+  it('should call model functions', function() {
+    assert.equal(3, expression.evaluate('app.add(NumOne, NumTwo)', {NumOne: 1, NumTwo: 2}, models));
+  });
+
+  it('should support asynchronous model functions', function() {
+    return expression.evaluate('app.double(2) + 1', {}, models).then(result=>{
+      assert.equal(5, result);
+    });
+  });
+
+  it('should only call functions in the models', function() {
+    assert.ok(/Only functions in the script models/.test(evalErr('data.fn()', {data: {fn: ()=>{}}}).message));
+    assert.ok(/Not a function/.test(evalErr('user.toString()', {user: {}}).message));
+    assert.ok(/not allowed/.test(evalErr('user.constructor', {user: {}}).message));
+    assert.ok(/not allowed/.test(evalErr('app.__proto__', {}).message));
+  });
+
+  it('should report the expression in errors', function() {
+    var err = evalErr('count >', {});
+    assert.ok(err instanceof expression.ExpressionError);
+    assert.equal('count >', err.expression);
+    assert.equal("Unexpected end in expression 'count >'", err.message);
+    assert.equal("model failed in expression 'app.fail()'", evalErr('app.fail()').message);
+  });
+
+  it('should only keep the most recent expressions parsed', function() {
+    for (var ndx = 0; ndx < 1100; ndx++)
+      assert.equal(ndx + 1, expression.evaluate(`count + ${ndx}`, {count: 1}));
+    assert.equal(1000, expression._astCache.size);
+    assert.ok(expression._astCache.has('count + 1099'));
+    assert.ok(!expression._astCache.has('count + 0'));
+  });
+
+});
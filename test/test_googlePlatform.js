@@ -0,0 +1,101 @@
+var assert = require('assert');
+var vh = require('./violetHelper.js');
+var StorePlugin = require('../lib/storePlugin.js');
+
+describe('googlePlatform', function() {
+
+  var defineName = () => {
+    vh.violet.respondTo({
+      name: 'hello',
+      expecting: 'Hello',
+      resolve: (response) => {
+        response.say('Hi');
+        response.addGoal('name');
+    }});
+    vh.violet.defineGoal({
+      goal: 'name',
+      prompt: 'What is your name?',
+      reprompt: 'Your name please?'
+    });
+  };
+
+  it('should ask and keep the session in a context', function() {
+    defineName();
+    vh.initialize();
+    return vh.sendGoogleRequest('hello').then(({rcvdStr, contexts, body})=>{
+      assert.equal('<speak>Hi <break time="500ms"/> What is your name?</speak>', rcvdStr);
+      assert.equal(true, body.payload.google.expectUserResponse);
+      var session = contexts.find(c=>{return /\/session$/.test(c.name);});
+      assert.deepEqual(['name'], session.parameters.convoGoals.map(g=>{return g.key;}));
+    });
+  });
+
+  it('should reprompt when the user does not respond', function() {
+    defineName();
+    vh.initialize();
+    return vh.sendGoogleRequest('hello').then(({contexts})=>{
+      return vh.sendGoogleRequest('violet.noInput', null, contexts);
+    }).then(({rcvdStr, body})=>{
+      assert.equal('<speak>Your name please?</speak>', rcvdStr);
+      assert.equal(true, body.payload.google.expectUserResponse);
+    });
+  });
+
+  it('should end the conversation', function() {
+    vh.violet.respondTo({
+      name: 'bye',
+      expecting: 'Bye',
+      resolve: (response) => {
+        response.say('See you');
+        response.endConversation();
+    }});
+    vh.initialize();
+    return vh.sendGoogleRequest('bye').then(({rcvdStr, body})=>{
+      assert.equal('<speak>See you</speak>', rcvdStr);
+      assert.equal(false, body.payload.google.expectUserResponse);
+    });
+  });
+
+  it('should say what is for the locale of the user', function() {
+    vh.violet.respondTo({
+      name: 'greet',
+      expecting: 'Greet me',
+      resolve: (response) => {
+        response.say({'en': 'Hello', 'de': 'Hallo'});
+    }});
+    vh.initialize();
+    return vh.sendGoogleRequest('greet', null, null, 'de-DE').then(({rcvdStr})=>{
+      assert.equal('<speak>Hallo</speak>', rcvdStr);
+    });
+  });
+
+  it('should ask the user to sign in to link their account', function() {
+    class UserStore extends StorePlugin {
+      forRequest(platReq) {
+        if (!platReq.getAccessToken()) throw new StorePlugin.AccountLinkingError();
+        return {load: ()=>{return Promise.resolve(['a case']);}};
+      }
+    }
+    vh.violet.setPersistentStore(new UserStore());
+    vh.violet.setAccountLinkingPhrases('Please link your account');
+    vh.violet.respondTo({
+      name: 'cases',
+      expecting: 'What are my cases',
+      resolve: (response) => {
+        return response.load({query: 'Subject FROM Case'}).then((records)=>{
+          response.say(`You have ${records[0]}`);
+        });
+    }});
+    vh.initialize();
+    return vh.sendGoogleRequest('cases').then(({body})=>{
+      var items = body.payload.google.richResponse.items;
+      assert.equal('<speak>Please link your account</speak>', items[0].simpleResponse.textToSpeech);
+      assert.equal('actions.intent.SIGN_IN', body.payload.google.systemIntent.intent);
+      vh.setAccessToken('token1');
+      return vh.sendGoogleRequest('cases');
+    }).then(({rcvdStr})=>{
+      assert.equal('<speak>You have a case</speak>', rcvdStr);
+    });
+  });
+
+});
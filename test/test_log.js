@@ -0,0 +1,53 @@
+var assert = require('assert');
+var log = require('../lib/log');
+
+describe('log', function() {
+
+  var lines, previous;
+  beforeEach(function() {
+    lines = [];
+    previous = log.configure({level: 'info', redact: [], output: (line)=>{lines.push(JSON.parse(line));}});
+  });
+  afterEach(function() {
+    log.configure(previous);
+  });
+
+  it('should only write entries at or above the level', function() {
+    var logger = log.logger('test');
+    logger.debug('Not written');
+    logger.info('Written', {count: 1});
+    logger.error('Also written');
+    assert.deepEqual(['Written', 'Also written'], lines.map(l=>{return l.msg;}));
+    assert.equal('info', lines[0].level);
+    assert.equal('test', lines[0].component);
+    assert.equal(1, lines[0].count);
+    assert.equal(false, logger.isEnabled('debug'));
+  });
+
+  it('should include the fields of child loggers', function() {
+    var logger = log.logger('test').child({correlationId: 'c1'});
+    logger.warn('Something');
+    assert.equal('c1', lines[0].correlationId);
+    assert.equal('test', lines[0].component);
+  });
+
+  it('should redact configured values at any depth', function() {
+    log.configure({redact: ['name']});
+    log.logger('test').info('Slots', {slots: {name: 'Ann', number: 3}, name: 'Bob'});
+    assert.deepEqual({name: '[REDACTED]', number: 3}, lines[0].slots);
+    assert.equal('[REDACTED]', lines[0].name);
+  });
+
+  it('should redact configured values in strings', function() {
+    log.configure({redact: ['name']});
+    assert.equal('I like the name [REDACTED]', log.redactValues('I like the name Zelda', {name: 'Zelda', number: 3}));
+    assert.equal('You said 3', log.redactValues('You said 3', {name: 'Zelda', number: 3}));
+  });
+
+  it('should log errors with their message and stack', function() {
+    log.logger('test').error('Failed', {error: new Error('oops')});
+    assert.equal('oops', lines[0].error.message);
+    assert.ok(lines[0].error.stack);
+  });
+
+});
@@ -0,0 +1,35 @@
+var assert = require('assert');
+var metrics = require('../lib/metrics');
+
+describe('metrics', function() {
+
+  it('should count events per label', function() {
+    var registry = new metrics.MetricsRegistry();
+    var sink = registry.sink();
+    sink({type: 'intent.matched', app: 'a1', platform: 'alexa', intent: 'hello'});
+    sink({type: 'intent.matched', app: 'a1', platform: 'alexa', intent: 'hello'});
+    sink({type: 'intent.matched', app: 'a1', platform: 'google', intent: 'unrecognized'});
+    sink({type: 'goal.added', app: 'a1', platform: 'alexa', goal: 'name'});
+    var out = registry.render();
+    assert.ok(out.indexOf('# TYPE violet_intents_total counter') != -1);
+    assert.ok(out.indexOf('violet_intents_total{app="a1",platform="alexa",intent="hello"} 2') != -1);
+    assert.ok(out.indexOf('violet_fallbacks_total{app="a1",platform="google"} 1') != -1);
+    assert.ok(out.indexOf('violet_goals_total{app="a1",platform="alexa",goal="name",action="added"} 1') != -1);
+  });
+
+  it('should render histograms with cumulative buckets', function() {
+    var histogram = new metrics.Histogram('test_seconds', 'Test', ['app'], [0.1, 1]);
+    histogram.observe({app: 'a"1'}, 0.05);
+    histogram.observe({app: 'a"1'}, 0.5);
+    assert.equal([
+      '# HELP test_seconds Test',
+      '# TYPE test_seconds histogram',
+      'test_seconds_bucket{app="a\\"1",le="0.1"} 1',
+      'test_seconds_bucket{app="a\\"1",le="1"} 2',
+      'test_seconds_bucket{app="a\\"1",le="+Inf"} 2',
+      'test_seconds_sum{app="a\\"1"} 0.55',
+      'test_seconds_count{app="a\\"1"} 2'
+    ].join('\n'), histogram.render());
+  });
+
+});
@@ -0,0 +1,56 @@
+var assert = require('assert');
+var ServerSessionMgr = require('../lib/serverSession');
+var MemorySessionStore = ServerSessionMgr.MemorySessionStore;
+
+describe('serverSession', function() {
+
+  it('should expire idle sessions', function() {
+    var store = new MemorySessionStore();
+    return store.set('s1', {count: 1}, 20).then(()=>{
+      return store.get('s1', 20);
+    }).then((attributes)=>{
+      assert.deepEqual({count: 1}, attributes);
+      return new Promise((resolve)=>{setTimeout(resolve, 30);});
+    }).then(()=>{
+      return store.get('s1', 20);
+    }).then((attributes)=>{
+      assert.equal(undefined, attributes);
+    });
+  });
+
+  it('should remove idle sessions when others are saved', function() {
+    var store = new MemorySessionStore();
+    return store.set('s1', {count: 1}, 20).then(()=>{
+      return new Promise((resolve)=>{setTimeout(resolve, 30);});
+    }).then(()=>{
+      return store.set('s2', {count: 2}, 20);
+    }).then(()=>{
+      assert.deepEqual(['s2'], Array.from(store.sessions.keys()));
+    });
+  });
+
+  it('should delete the session when the response ends it', function() {
+    var store = new MemorySessionStore();
+    var sessionMgr = new ServerSessionMgr(store);
+    var platformAttributes = {};
+    var platReq = {
+      endsSession: false,
+      getSessionId: ()=>{return 's1';},
+      getSession: ()=>{return {
+        getAttributes: ()=>{return platformAttributes;},
+        set: (key, val)=>{platformAttributes[key] = val;},
+        clear: (key)=>{delete platformAttributes[key];}
+      };},
+      useSession: ()=>{}
+    };
+    return sessionMgr.around(platReq, ()=>{}).then(()=>{
+      assert.equal('s1', platformAttributes[ServerSessionMgr.sessionRefKey]);
+      assert.equal(1, store.sessions.size);
+      return sessionMgr.around(platReq, (platReq)=>{platReq.endsSession = true;});
+    }).then(()=>{
+      assert.deepEqual({}, platformAttributes);
+      assert.equal(0, store.sessions.size);
+    });
+  });
+
+});
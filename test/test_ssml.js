@@ -0,0 +1,44 @@
+var ssml = require('../lib/ssml');
+var GooglePlatform = require('../lib/googlePlatform');
+var assert = require('assert');
+
+describe('ssml', function() {
+
+  it('should escape text', function() {
+    assert.equal('Tom &amp; Jerry &lt;3', ssml.render([ssml.text('Tom & Jerry <3')]));
+  });
+
+  it('should render tags', function() {
+    var nodes = [
+      ssml.text('Your code is '),
+      ssml.sayAs('1234', 'digits'),
+      ssml.pause(300),
+      ssml.emphasis([ssml.text('really')], 'strong'),
+      ssml.audio('https://example.com/a.mp3?x=1&y=2')
+    ];
+    assert.equal('Your code is <say-as interpret-as="digits">1234</say-as><break time="300ms"/>' +
+      '<emphasis level="strong">really</emphasis><audio src="https://example.com/a.mp3?x=1&amp;y=2"/>',
+      ssml.render(nodes));
+  });
+
+  it('should downgrade tags that platforms do not support', function() {
+    var nodes = [ssml.whisper([ssml.text('psst')]), ssml.audio('https://example.com/a.mp3'), ssml.sayAs('42', 'cardinal')];
+    assert.equal('psst', ssml.render(nodes.slice(0, 1)));
+    assert.equal('psst42', ssml.render(nodes, ssml.downgrades));
+  });
+
+  it('should send SSML without whispering to Google', function() {
+    var nodes = [
+      ssml.text('Tom & Jerry'),
+      ssml.pause(300),
+      ssml.emphasis([ssml.text(' really')], 'strong'),
+      ssml.prosody([ssml.text(' like '), ssml.sayAs('42', 'cardinal')], 'slow'),
+      ssml.audio('https://example.com/a.mp3'),
+      ssml.whisper([ssml.text(' bye')])
+    ];
+    assert.equal('<speak>Tom &amp; Jerry<break time="300ms"/><emphasis level="strong"> really</emphasis>' +
+      '<prosody rate="slow"> like <say-as interpret-as="cardinal">42</say-as></prosody>' +
+      '<audio src="https://example.com/a.mp3"/> bye</speak>', new GooglePlatform('google').renderOutput(nodes));
+  });
+
+});
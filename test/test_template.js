@@ -0,0 +1,49 @@
+var template = require('../lib/template');
+var assert = require('assert');
+
+describe('template', function() {
+
+  var storeWith = (values)=>{
+    return {get: (varName)=>{return values[varName];}};
+  };
+
+  it('should insert values', function() {
+    assert.equal('Hi John', template.render('Hi [[name]]', storeWith({name: 'John'})));
+  });
+
+  it('should support conditionals', function() {
+    var str = 'Hello[[if vip]] again[[if isAdmin]] boss[[end]][[else]] there[[end]]';
+    assert.equal('Hello again boss', template.render(str, storeWith({vip: true, isAdmin: true})));
+    assert.equal('Hello again', template.render(str, storeWith({vip: true})));
+    assert.equal('Hello there', template.render(str, storeWith({vip: false})));
+    assert.equal('None', template.render('[[if !items]]None[[end]]', storeWith({items: []})));
+  });
+
+  it('should pluralize', function() {
+    assert.equal('1 case', template.render("[[n | plural('case')]]", storeWith({n: 1})));
+    assert.equal('3 cases', template.render("[[n | plural('case')]]", storeWith({n: 3})));
+    assert.equal('2 children', template.render("[[kids | plural('child', 'children')]]", storeWith({kids: ['a', 'b']})));
+  });
+
+  it('should not treat || as a filter', function() {
+    var gets = [];
+    var store = {get: (varName)=>{gets.push(varName); return ['Ann', 'Bob'];}};
+    assert.equal('Ann and Bob', template.render('[[nick || names | list]]', store));
+    assert.deepEqual(['nick || names'], gets);
+  });
+
+  it('should join lists', function() {
+    var store = storeWith({names: ['Ann', 'Bob', 'Cy']});
+    assert.equal('Ann, Bob and Cy', template.render('[[names | list]]', store));
+    assert.equal('Ann, Bob or Cy', template.render("[[names | list('or')]]", store));
+  });
+
+  it('should format numbers and dates', function() {
+    var store = storeWith({n: 23, big: 12345, due: '2018-01-05'});
+    assert.equal('twenty three', template.render('[[n | number]]', store));
+    assert.equal('12,345', template.render('[[big | number]]', store, 'en-US'));
+    assert.equal('Friday, January 5', template.render('[[due | date]]', store, 'en-US'));
+    assert.equal('Friday, January 5, 2018', template.render("[[due | date('full')]]", store, 'en-US'));
+  });
+
+});
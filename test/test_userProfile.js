@@ -0,0 +1,50 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var userProfile = require('../lib/userProfile');
+
+describe('userProfile', function() {
+
+  it('should keep the most recent users in memory', function() {
+    var store = new userProfile.MemoryProfileStore(2);
+    return store.set('u1', {name: 'Ann'})
+      .then(()=>{return store.set('u2', {name: 'Bob'});})
+      .then(()=>{return store.set('u3', {name: 'Cy'});})
+      .then(()=>{return Promise.all([store.get('u1'), store.get('u3')]);})
+      .then(([u1, u3])=>{
+        assert.equal(undefined, u1);
+        assert.deepEqual({name: 'Cy'}, u3);
+      });
+  });
+
+  it('should keep users in a file', function() {
+    var filePath = path.join(os.tmpdir(), `violet-profiles-${process.pid}.json`);
+    var store = new userProfile.FileProfileStore(filePath);
+    return store.get('u1').then((profile)=>{
+      assert.equal(undefined, profile);
+      return store.set('u1', {name: 'Ann'});
+    }).then(()=>{
+      // a new store reads what was written
+      return new userProfile.FileProfileStore(filePath).get('u1');
+    }).then((profile)=>{
+      assert.deepEqual({name: 'Ann'}, profile);
+      fs.unlinkSync(filePath);
+    });
+  });
+
+  it('should not overwrite a file that cannot be read', function() {
+    var filePath = path.join(os.tmpdir(), `violet-profiles-corrupt-${process.pid}.json`);
+    var contents = '{"u1": {"name": "Ann"}, "u2": {"na';
+    fs.writeFileSync(filePath, contents);
+    var store = new userProfile.FileProfileStore(filePath);
+    return store.set('u3', {name: 'Cy'}).then(()=>{
+      throw new Error('set should have failed');
+    }, (err)=>{
+      assert.ok(err instanceof SyntaxError);
+      assert.equal(contents, fs.readFileSync(filePath, 'utf8'));
+      fs.unlinkSync(filePath);
+    });
+  });
+
+});
@@ -3,6 +3,16 @@ var assert = require('assert');
 
 describe('utils', function() {
 
+  it('getSeededRand should generate the same numbers for the same seed', function() {
+    var randA = utils.getSeededRand(42);
+    var randB = utils.getSeededRand(42);
+    for (var ndx=0; ndx<10; ndx++) {
+      var num = randA(0, 5);
+      assert.equal(randB(0, 5), num);
+      assert.ok(num >= 0 && num < 5);
+    }
+  });
+
   it('getArrAsStr be able to pull arrays together', function() {
     assert.equal('1, 2 and 3', utils.getArrAsStr([1, 2, 3]));
   });
@@ -1,5 +1,10 @@
 var assert = require('assert');
 var vh = require('./violetHelper.js');
+var serverSession = require('../lib/serverSession.js');
+var StorePlugin = require('../lib/storePlugin.js');
+var log = require('../lib/log.js');
+var express = require('express');
+var requestP = require('request-promise');
 
 describe('violet core', function() {
 
@@ -129,4 +134,1102 @@ describe('violet core', function() {
 
   });
 
+  describe('intent names', function() {
+
+    var PlatformPlugin = require('../lib/platformPlugin.js').PlatformPlugin;
+    var ConversationEngine = require('../lib/conversationEngine.js');
+    class NameRecordingPlatform extends PlatformPlugin {
+      regIntent(name, params, cb) {
+        this.names = this.names || {};
+        this.names[params.utterances[0]] = name;
+      }
+    }
+    var registeredNames = (scriptFn)=>{
+      var violet = new ConversationEngine('names', [{endpoint: 'names', platform: NameRecordingPlatform}]);
+      scriptFn(violet);
+      violet.registerIntents();
+      return violet.platforms.platforms[0].names;
+    };
+
+    it('should not change when other intents are added', function() {
+      var before = registeredNames(violet=>{
+        violet.respondTo('Hello', (response) => { response.say('Hi'); });
+      });
+      var after = registeredNames(violet=>{
+        violet.respondTo('Goodbye', (response) => { response.say('Bye'); });
+        violet.respondTo('Hello', (response) => { response.say('Hi'); });
+      });
+      assert.equal(before['Hello'], after['Hello']);
+      assert.notEqual(after['Hello'], after['Goodbye']);
+      assert(/^Intent[A-Z]+$/.test(after['Hello']));
+    });
+
+    it('should depend on the goal', function() {
+      var names = registeredNames(violet=>{
+        violet.respondTo('Yes', (response) => { response.say('Okay'); });
+        violet.defineGoal({
+          goal: 'flightDay',
+          prompt: 'Are you flying today?',
+          respondTo: [{expecting: 'Yes', resolve: (response) => { response.say('Okay'); }}]
+        });
+      });
+      var namesWithoutGoal = registeredNames(violet=>{
+        violet.respondTo('Yes', (response) => { response.say('Okay'); });
+      });
+      assert.notEqual(names['Yes'], namesWithoutGoal['Yes']);
+    });
+
+    it('should use explicitly provided names', function() {
+      var names = registeredNames(violet=>{
+        violet.respondTo({name: 'greet', expecting: 'Hello', resolve: (response) => { response.say('Hi'); }});
+      });
+      assert.equal('greet', names['Hello']);
+    });
+
+  });
+
+  describe('locales', function() {
+
+    var greetingDef = (violet)=>{
+      violet.respondTo({
+        expecting: {'default': 'Hello', 'de': 'Hallo'},
+        resolve: (response) => {
+          response.say({'default': 'Hi', 'en-GB': 'Cheers', 'de': 'Guten Tag'});
+      }});
+    };
+
+    it('should expect and say phrases in the locale of the user', function() {
+      greetingDef(vh.violet);
+      vh.initialize();
+      return vh.sendIntent('Hallo', null, null, 'de-DE').then(({rcvdStr})=>{
+        assert.equal('Guten Tag', rcvdStr);
+      });
+    });
+
+    it('should fall back to the language and then the default', function() {
+      greetingDef(vh.violet);
+      vh.initialize();
+      return vh.sendIntent('Hello', null, null, 'en-GB').then(({rcvdStr})=>{
+        assert.equal('Cheers', rcvdStr);
+        return vh.sendIntent('Hello', null, null, 'fr-FR');
+      }).then(({rcvdStr})=>{
+        assert.equal('Hi', rcvdStr);
+      });
+    });
+
+    it('should fall back to the default locale when there is no default', function() {
+      vh.violet.respondTo({
+        expecting: {'en': 'Hello', 'de': 'Hallo'},
+        resolve: (response) => {
+          response.say({'en': 'Hello', 'de': 'Hallo'});
+      }});
+      vh.initialize();
+      return vh.sendIntent('Hello', null, null, 'fr-FR').then(({rcvdStr})=>{
+        assert.equal('Hello', rcvdStr);
+      });
+    });
+
+    it('should generate models for each locale', function() {
+      greetingDef(vh.violet);
+      vh.violet.respondTo('Goodbye', (response) => { response.say('Bye'); });
+      vh.initialize();
+      return Promise.all([vh.getIntent('Hello'), vh.getIntent('Hallo', 'de-DE'), vh.getIntent('Goodbye', 'de-DE')])
+        .then(([defaultIntent, germanIntent, fallbackIntent])=>{
+          assert.equal(defaultIntent, germanIntent);
+          assert(fallbackIntent); // not translated - so the default is used
+          return vh.getIntent('Hallo');
+        }).then((intentName)=>{
+          assert.equal(null, intentName);
+        });
+    });
+
+  });
+
+  describe('templates', function() {
+
+    it('should be rendered in what is said', function() {
+      vh.violet.addInputTypes({'count': 'number'});
+      vh.violet.respondTo('I have [[count]] cases', (response) => {
+        response.say("You have [[count | plural('case')]][[if count > 2]], that is a lot[[end]]");
+      });
+      vh.initialize();
+      return vh.sendIntent('I have', {count: 1}).then(({rcvdStr})=>{
+        assert.equal('You have 1 case', rcvdStr);
+        return vh.sendIntent('I have', {count: 3});
+      }).then(({rcvdStr})=>{
+        assert.equal('You have 3 cases, that is a lot', rcvdStr);
+      });
+    });
+
+    it('should be rendered in flow scripts', function() {
+      vh.violet.addFlowScript(`
+      <app>
+        <choice>
+          <expecting>Who are my contacts</expecting>
+          <say>Your contacts are [[contacts.names() | list]]</say>
+        </choice>
+      </app>`, {contacts: {names: ()=>{return ['Ann', 'Bob', 'Cy'];}}});
+      vh.initialize();
+      return vh.sendIntent('Who are my contacts').then(({rcvdStr})=>{
+        assert.equal('Your contacts are Ann, Bob and Cy', rcvdStr);
+      });
+    });
+
+  });
+
+  describe('expressions', function() {
+
+    var models = {
+      cases: {
+        count: ()=>{return new Promise((resolve)=>{setTimeout(()=>{resolve(3);}, 5);});}
+      }
+    };
+
+    it('should wait for asynchronous model functions', function() {
+      vh.violet.addFlowScript(`
+      <app>
+        <choice>
+          <expecting>How many cases do I have</expecting>
+          <say>You have [[cases.count() | plural('case')]]</say>
+        </choice>
+      </app>`, models);
+      vh.initialize();
+      return vh.sendIntent('How many cases do I have').then(({rcvdStr})=>{
+        assert.equal('You have 3 cases', rcvdStr);
+      });
+    });
+
+    it('should be checked in flow scripts', function() {
+      vh.violet.addFlowScript(`
+      <app>
+        <choice>
+          <expecting>How busy am I</expecting>
+          <check value="cases.count()">
+            <case value="< 2"><say>Not very</say></case>
+            <case value="< 5"><say>Somewhat</say></case>
+            <default><say>Very</say></default>
+          </check>
+        </choice>
+      </app>`, models);
+      vh.initialize();
+      return vh.sendIntent('How busy am I').then(({rcvdStr})=>{
+        assert.equal('Somewhat', rcvdStr);
+      });
+    });
+
+    it('should report errors with the flow node', function() {
+      var error = null;
+      vh.violet.use({
+        onError: (err, platReq, response) => {
+          error = err;
+          response.say('Sorry');
+          return true;
+        }
+      });
+      vh.violet.addFlowScript(`
+      <app>
+        <choice>
+          <expecting>How busy am I</expecting>
+          <if id="busy" value="cases.count( > 2"><say>Very</say></if>
+        </choice>
+      </app>`, models);
+      vh.initialize();
+      return vh.sendIntent('How busy am I').then(({rcvdStr})=>{
+        assert.equal('Sorry', rcvdStr);
+        assert.equal('cases.count( > 2', error.expression);
+        assert.equal('busy', error.nodeId);
+        assert.ok(/flow node #busy/.test(error.message));
+      });
+    });
+
+    it('should not call functions in values passed to get', function() {
+      vh.violet.respondTo('Check my values', (response) => {
+        var checkValue = {fn: ()=>{return 'Called';}};
+        try {
+          response.say(response.get('checkValue.fn()', {checkValue}));
+        } catch (e) {
+          response.say('Not called');
+        }
+      });
+      vh.initialize();
+      return vh.sendIntent('Check my values').then(({rcvdStr})=>{
+        assert.equal('Not called', rcvdStr);
+      });
+    });
+
+  });
+
+  describe('state', function() {
+
+    beforeEach(function() {
+      vh.violet.defineState({
+        count: {type: 'number', default: 0},
+        lastSearch: {type: 'string', scope: 'turn'},
+        color: {type: 'string', scope: 'user'}
+      });
+      vh.violet.addInputTypes({'count': 'number', 'color': 'string'});
+    });
+
+    it('should coerce slots and have defaults', function() {
+      vh.violet.respondTo('I have [[count]] cases', (response) => {
+        response.say(`That is ${typeof response.get('count')} [[count + 1]]`);
+      });
+      vh.violet.respondTo('How many cases', (response) => {
+        response.say('You have [[count]]');
+      });
+      vh.initialize();
+      return vh.sendIntent('How many cases').then(({rcvdStr})=>{
+        assert.equal('You have 0', rcvdStr);
+        return vh.sendIntent('I have', {count: '2'});
+      }).then(({rcvdStr})=>{
+        assert.equal('That is number 3', rcvdStr);
+      });
+    });
+
+    it('should not set values that cannot be coerced', function() {
+      var error = null;
+      vh.violet.use({
+        onError: (err, platReq, response) => {
+          error = err;
+          response.say('Sorry');
+          return true;
+        }
+      });
+      vh.violet.respondTo('Set the count', (response) => { response.set('count', 'lots'); });
+      vh.initialize();
+      return vh.sendIntent('Set the count').then(({rcvdStr})=>{
+        assert.equal('Sorry', rcvdStr);
+        assert.equal('StateError', error.name);
+      });
+    });
+
+    it('should clear turn values and keep user values across sessions', function() {
+      vh.violet.respondTo('My favorite color is [[color]]', (response) => {
+        response.set('lastSearch', 'colors');
+        response.say('I will remember [[color]]');
+      });
+      vh.violet.respondTo('What is my favorite color', (response) => {
+        response.say('It is [[color]]');
+      });
+      vh.initialize();
+      return vh.sendIntent('My favorite color is', {color: 'blue'}).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('I will remember blue', rcvdStr);
+        assert.equal(undefined, sessionAttributes.lastSearch);
+        assert.equal(undefined, sessionAttributes.color);
+        return vh.sendIntent('What is my favorite color');
+      }).then(({rcvdStr})=>{
+        assert.equal('It is blue', rcvdStr);
+      });
+    });
+
+    it('should describe the declared shape', function() {
+      assert.deepEqual({name: 'count', type: 'number', scope: 'session', default: 0}, vh.violet.getStateShape()[0]);
+    });
+
+  });
+
+  describe('user profile', function() {
+
+    it('should remember users across sessions', function() {
+      vh.violet.addInputTypes({'name': 'AMAZON.US_FIRST_NAME'});
+      vh.violet.respondTo('My name is [[name]]', (response) => {
+        response.user.set('name', response.get('name'));
+        response.say('Nice to meet you');
+      });
+      vh.violet.respondTo('Who am I', (response) => {
+        if (response.user.contains('name'))
+          response.say(`You are ${response.user.get('name')}`);
+        else
+          response.say('I do not know');
+      });
+      vh.initialize();
+      return vh.sendIntent('Who am I').then(({rcvdStr})=>{
+        assert.equal('I do not know', rcvdStr);
+        return vh.sendIntent('My name is', {name: 'Ann'});
+      }).then(({rcvdStr})=>{
+        assert.equal('Nice to meet you', rcvdStr);
+        return vh.sendIntent('Who am I'); // in a new session
+      }).then(({rcvdStr})=>{
+        assert.equal('You are Ann', rcvdStr);
+      });
+    });
+
+  });
+
+  describe('account linking', function() {
+
+    // a store that loads the records of the user with the access token
+    class UserStore extends StorePlugin {
+      forRequest(platReq) {
+        var accessToken = platReq.getAccessToken();
+        if (!accessToken) throw new StorePlugin.AccountLinkingError();
+        return {load: ()=>{return Promise.resolve([`case for ${accessToken}`]);}};
+      }
+    }
+    var defineCasesIntent = function() {
+      vh.violet.setPersistentStore(new UserStore());
+      vh.violet.respondTo('What are my cases', (response) => {
+        return response.load({query: 'Subject FROM Case'}).then((records)=>{
+          response.say(`You have a ${records[0]}`);
+        });
+      });
+      vh.initialize();
+    };
+
+    it('should make queries with the access token of the user', function() {
+      defineCasesIntent();
+      vh.setAccessToken('token1');
+      return vh.sendIntent('What are my cases').then(({rcvdStr})=>{
+        assert.equal('You have a case for token1', rcvdStr);
+      });
+    });
+
+    it('should ask the user to link their account when there is no access token', function() {
+      defineCasesIntent();
+      vh.violet.setAccountLinkingPhrases('Please link your account');
+      return vh.sendIntent('What are my cases').then(({rcvdStr, body})=>{
+        assert.equal('Please link your account', rcvdStr);
+        assert.equal('LinkAccount', body.response.card.type);
+        assert.equal(true, body.response.shouldEndSession);
+      });
+    });
+
+  });
+
+  describe('server sessions', function() {
+
+    it('should only send a reference to the platform', function() {
+      vh.violet.setSessionStore(new serverSession.MemorySessionStore());
+      vh.violet.addInputTypes({'count': 'number'});
+      vh.violet.respondTo('I have [[count]] cases', (response) => {
+        response.say('Noted');
+      });
+      vh.violet.respondTo('How many cases', (response) => {
+        response.say('You have [[count]]');
+      });
+      vh.initialize();
+      return vh.sendIntent('I have', {count: 2}).then(({rcvdStr, sessionAttributes})=>{
+        assert.deepEqual(['violetSessionRef'], Object.keys(sessionAttributes));
+        // values sent by the client are not used
+        sessionAttributes.count = 99;
+        return vh.sendIntent('How many cases', null, sessionAttributes);
+      }).then(({rcvdStr})=>{
+        assert.equal('You have 2', rcvdStr);
+      });
+    });
+
+  });
+
+  describe('resuming', function() {
+
+    var defineUpdateCase = ()=>{
+      vh.violet.addInputTypes({'caseNumber': 'number', 'priority': 'phrase'});
+      vh.violet.respondTo('Update case [[caseNumber]]', (response) => {
+        response.addGoal('updateCase');
+      });
+      vh.violet.defineGoal({
+        goal: 'updateCase',
+        resume: {
+          variables: ['caseNumber'],
+          prompt: 'Last time we were updating case [[caseNumber]], do you want to continue?'
+        },
+        ask: 'What priority?',
+        respondTo: [{
+          expecting: 'Set priority to [[priority]]',
+          resolve: (response) => {
+            response.say('Updated case [[caseNumber]] to [[priority]]');
+        }}]
+      });
+    };
+
+    it('should offer to continue unmet goals in the next session', function() {
+      defineUpdateCase();
+      vh.violet.setLaunchPhrases(['Hello']);
+      vh.initialize();
+      return vh.sendIntent('Update case', {caseNumber: '1021'}).then(({rcvdStr})=>{
+        assert.equal('What priority?', rcvdStr);
+        return vh.sendRequest('<<Launch>>'); // a new session
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('Last time we were updating case 1021, do you want to continue?', rcvdStr);
+        return vh.sendIntent('Sure', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('What priority?', rcvdStr);
+        return vh.sendIntent('Set priority to', {priority: 'high'}, sessionAttributes);
+      }).then(({rcvdStr})=>{
+        assert.equal('Updated case 1021 to high', rcvdStr);
+        return vh.sendRequest('<<Launch>>');
+      }).then(({rcvdStr})=>{
+        assert.equal('Hello', rcvdStr); // nothing left to continue
+      });
+    });
+
+    it('should start over when the user does not want to continue', function() {
+      defineUpdateCase();
+      vh.violet.setLaunchPhrases(['Hello']);
+      vh.initialize();
+      return vh.sendIntent('Update case', {caseNumber: '1021'}).then(()=>{
+        return vh.sendRequest('<<Launch>>');
+      }).then(({rcvdStr, sessionAttributes})=>{
+        return vh.sendIntent('Start over', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('Hello', rcvdStr);
+        assert.equal(undefined, sessionAttributes.caseNumber);
+        return vh.sendRequest('<<Launch>>');
+      }).then(({rcvdStr})=>{
+        assert.equal('Hello', rcvdStr);
+      });
+    });
+
+    it('should leave the script\'s own answers to it when not resuming', function() {
+      defineUpdateCase();
+      vh.violet.respondTo('Sure', (response) => { response.say('Sure about what?'); });
+      vh.initialize();
+      return vh.sendIntent('Sure').then(({rcvdStr})=>{
+        assert.equal('Sure about what?', rcvdStr);
+      });
+    });
+
+    it('should offer to continue dialogs in flow scripts', function() {
+      vh.violet.addInputTypes({'caseNumber': 'number', 'priority': 'phrase'});
+      vh.violet.addFlowScript(`
+      <app>
+        <choice>
+          <expecting>Update a case</expecting>
+          <dialog id="updateCase" elicit="dialog.nextReqdParam()" resume="Last time we were updating case [[caseNumber]], do you want to continue?">
+            <item name="caseNumber" required>
+              <ask>What case?</ask>
+              <expecting>Case [[caseNumber]]</expecting>
+            </item>
+            <item name="priority" required>
+              <ask>What priority?</ask>
+              <expecting>Priority [[priority]]</expecting>
+            </item>
+            <say>Updated case [[caseNumber]] to [[priority]]</say>
+          </dialog>
+        </choice>
+      </app>`, {});
+      vh.initialize();
+      return vh.sendIntent('Update a case').then(({sessionAttributes})=>{
+        return vh.sendIntent('Case', {caseNumber: '1021'}, sessionAttributes);
+      }).then(({rcvdStr})=>{
+        assert.equal('What priority?', rcvdStr);
+        return vh.sendRequest('<<Launch>>');
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('Last time we were updating case 1021, do you want to continue?', rcvdStr);
+        return vh.sendIntent('Sure', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('What priority?', rcvdStr);
+        return vh.sendIntent('Priority', {priority: 'high'}, sessionAttributes);
+      }).then(({rcvdStr})=>{
+        assert.equal('Updated case 1021 to high', rcvdStr);
+      });
+    });
+
+  });
+
+  describe('ssml', function() {
+
+    it('should be built by the response and rendered for the platform', function() {
+      vh.violet.respondTo('What is my code', (response) => {
+        response.say('Your code & pin is', true);
+        response.sayAs('1234', 'digits');
+        response.pause(300);
+        response.whisper('do not tell anyone');
+      });
+      vh.initialize();
+      return vh.sendIntent('What is my code').then(({rcvdStr})=>{
+        assert.equal('Your code &amp; pin is <say-as interpret-as="digits">1234</say-as> <break time="300ms"/> ' +
+          '<amazon:effect name="whispered">do not tell anyone</amazon:effect>', rcvdStr);
+      });
+    });
+
+  });
+
+  describe('history', function() {
+
+    var historyDef = (violet)=>{
+      violet.addInputTypes({'firstName': 'AMAZON.US_FIRST_NAME'});
+      violet.respondTo('Hello [[firstName]]', (response) => { response.say('Hi [[firstName]]'); });
+      violet.respondTo('What did you just say', (response) => {
+        var lastTurn = response.history().slice(-1)[0];
+        response.say(`I said ${lastTurn.output} when you said hello to ${lastTurn.slots.firstName}`);
+      });
+    };
+
+    it('should be available to scripts', function() {
+      historyDef(vh.violet);
+      vh.initialize();
+      return vh.sendIntent('Hello', {firstName: 'John'}).then(({rcvdStr, sessionAttributes})=>{
+        return vh.sendIntent('What did you just say', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('I said Hi John when you said hello to John', rcvdStr);
+        assert.equal(2, sessionAttributes.convoHistory.length);
+        assert.deepEqual([], sessionAttributes.convoHistory[1].goalsAfter);
+      });
+    });
+
+    it('should be bounded and move to the server when large', function() {
+      historyDef(vh.violet);
+      vh.violet.setTranscriptOptions({maxTurns: 2, maxSessionSize: 10});
+      vh.initialize();
+      return vh.sendIntent('Hello', {firstName: 'John'}).then(({rcvdStr, sessionAttributes})=>{
+        assert.deepEqual({stored: true}, sessionAttributes.convoHistory);
+        return vh.sendIntent('Hello', {firstName: 'Jane'}, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        return vh.sendIntent('What did you just say', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('I said Hi Jane when you said hello to Jane', rcvdStr);
+      });
+    });
+
+    it('should not keep redacted slots', function() {
+      var previous = log.configure({redact: ['firstName']});
+      historyDef(vh.violet);
+      vh.initialize();
+      return vh.sendIntent('Hello', {firstName: 'John'}).then(({sessionAttributes})=>{
+        log.configure(previous);
+        assert.deepEqual({firstName: '[REDACTED]'}, sessionAttributes.convoHistory[0].slots);
+        assert.equal('Hi [REDACTED]', sessionAttributes.convoHistory[0].output);
+      }, (err)=>{
+        log.configure(previous);
+        throw err;
+      });
+    });
+
+  });
+
+  describe('repeat', function() {
+
+    var flightDef = (violet, extra)=>{
+      violet.respondTo('Check my flight', (response) => {
+        response.say('Sure.');
+        response.addGoal('flightDay');
+      });
+      violet.defineGoal(Object.assign({
+        goal: 'flightDay',
+        prompt: 'What day are you flying?',
+        respondTo: [{
+          expecting: 'Today',
+          resolve: (response) => { response.say('Your flight is on time'); }
+        }]
+      }, extra));
+    };
+
+    it('should say the last response again without changing goals', function() {
+      flightDef(vh.violet);
+      vh.initialize();
+      return vh.sendIntent('Check my flight').then(({rcvdStr, sessionAttributes})=>{
+        return vh.sendIntent('Say that again', null, sessionAttributes).then((repeated)=>{
+          assert.equal(rcvdStr, repeated.rcvdStr);
+          assert.deepEqual(sessionAttributes.convoGoals, repeated.sessionAttributes.convoGoals);
+          return vh.sendIntent('Today', null, repeated.sessionAttributes);
+        });
+      }).then(({rcvdStr})=>{
+        assert.equal('Your flight is on time', rcvdStr);
+      });
+    });
+
+    it('should not count as a turn for expiring goals', function() {
+      flightDef(vh.violet, {expiresAfterTurns: 1});
+      vh.initialize();
+      var prompted = null;
+      return vh.sendIntent('Check my flight').then(({rcvdStr, sessionAttributes})=>{
+        prompted = rcvdStr;
+        return vh.sendIntent('Say that again', null, sessionAttributes);
+      }).then(({sessionAttributes})=>{
+        return vh.sendIntent('Say that again', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal(prompted, rcvdStr);
+        assert.deepEqual(['flightDay'], sessionAttributes.convoGoals.map(g=>{return g.key;}));
+        return vh.sendIntent('Today', null, sessionAttributes);
+      }).then(({rcvdStr})=>{
+        assert.equal('Your flight is on time', rcvdStr);
+      });
+    });
+
+    it('should be able to be overridden by scripts', function() {
+      vh.violet.respondTo({
+        name: 'repeat',
+        expecting: 'Say that again',
+        resolve: (response) => { response.say('I will not'); }
+      });
+      vh.initialize();
+      return vh.sendIntent('Say that again').then(({rcvdStr})=>{
+        assert.equal('I will not', rcvdStr);
+      });
+    });
+
+  });
+
+  describe('response variants', function() {
+
+    var sayVariants = (violet)=>{
+      violet.respondTo('Hello', (response) => { response.say(['Hi', 'Hey', 'Howdy']); });
+    };
+    var sayHelloRepeatedly = (times)=>{
+      var said = [];
+      var sayHello = (sessionAttributes)=>{
+        return vh.sendIntent('Hello', null, sessionAttributes).then(({rcvdStr, sessionAttributes})=>{
+          said.push(rcvdStr);
+          if (said.length < times) return sayHello(sessionAttributes);
+          return said;
+        });
+      };
+      return sayHello();
+    };
+
+    it('should not repeat a response in a session when asked to', function() {
+      sayVariants(vh.violet);
+      vh.violet.setVariantSelection('noRepeat');
+      vh.initialize();
+      return sayHelloRepeatedly(10).then((said)=>{
+        said.forEach((str, ndx)=>{
+          assert(vh.contains(str, ['Hi', 'Hey', 'Howdy']));
+          if (ndx > 0) assert.notEqual(said[ndx-1], str);
+        });
+      });
+    });
+
+    it('should be able to go through responses in order', function() {
+      sayVariants(vh.violet);
+      vh.violet.setVariantSelection('roundRobin');
+      vh.initialize();
+      return sayHelloRepeatedly(4).then((said)=>{
+        assert.deepEqual(['Hi', 'Hey', 'Howdy', 'Hi'], said);
+      });
+    });
+
+    it('should pick reproducibly when seeded', function() {
+      sayVariants(vh.violet);
+      vh.violet.setVariantSelection('seeded', {seed: 7});
+      vh.initialize();
+      return sayHelloRepeatedly(5).then((said)=>{
+        vh.violet.setVariantSelection('seeded', {seed: 7});
+        return sayHelloRepeatedly(5).then((saidAgain)=>{
+          assert.deepEqual(said, saidAgain);
+        });
+      });
+    });
+
+  });
+
+  describe('validation and confirmation', function() {
+
+    var ageIntentDef = (violet, extra)=>{
+      violet.addInputTypes({'age': 'number'});
+      violet.respondTo(Object.assign({
+        expecting: 'My age is [[age]]',
+        validate: {age: v => v > 0 && v < 130},
+        resolve: (response) => {
+          response.say('I will remember that you are [[age]]');
+      }}, extra));
+    };
+
+    it('should ask again when slots are not valid', function() {
+      ageIntentDef(vh.violet);
+      vh.initialize();
+      return vh.sendIntent('My age is', {age: 200}).then(({rcvdStr, body})=>{
+        assert.equal('Sorry, that is not a valid age. Please try again.', rcvdStr);
+        assert.equal(undefined, body.sessionAttributes.age);
+        return vh.sendIntent('My age is', {age: 42});
+      }).then(({rcvdStr, body})=>{
+        assert.equal('I will remember that you are 42', rcvdStr);
+      });
+    });
+
+    it('should confirm before resolving', function() {
+      ageIntentDef(vh.violet, {confirm: 'You said [[age]], right?'});
+      vh.initialize();
+      return vh.sendIntent('My age is', {age: 42}).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('You said 42, right?', rcvdStr);
+        return vh.sendIntent('Yes please', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('I will remember that you are 42', rcvdStr);
+        assert.deepEqual([], sessionAttributes.convoGoals);
+      });
+    });
+
+    it('should not resolve when the user does not confirm', function() {
+      ageIntentDef(vh.violet, {confirm: 'You said [[age]], right?'});
+      vh.initialize();
+      return vh.sendIntent('My age is', {age: 42}).then(({rcvdStr, sessionAttributes})=>{
+        return vh.sendIntent('No that is wrong', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('Okay, please say that again.', rcvdStr);
+        assert.equal(undefined, sessionAttributes.age);
+        assert.deepEqual([], sessionAttributes.convoGoals);
+      });
+    });
+
+    it('should clear slots that are not validated when the user does not confirm', function() {
+      ageIntentDef(vh.violet, {validate: undefined, confirm: 'You said [[age]], right?'});
+      vh.initialize();
+      return vh.sendIntent('My age is', {age: 42}).then(({sessionAttributes})=>{
+        assert.equal(42, sessionAttributes.age);
+        return vh.sendIntent('No that is wrong', null, sessionAttributes);
+      }).then(({sessionAttributes})=>{
+        assert.equal(undefined, sessionAttributes.age);
+      });
+    });
+
+    it('should leave the script\'s own yes to it when not confirming', function() {
+      ageIntentDef(vh.violet, {confirm: 'You said [[age]], right?'});
+      vh.violet.respondTo('Correct', (response) => { response.say('Correct about what?'); });
+      vh.initialize();
+      return vh.sendIntent('Correct').then(({rcvdStr})=>{
+        assert.equal('Correct about what?', rcvdStr);
+        return vh.sendIntent('My age is', {age: 42});
+      }).then(({sessionAttributes})=>{
+        return vh.sendIntent('Correct', null, sessionAttributes);
+      }).then(({rcvdStr})=>{
+        assert.equal('I will remember that you are 42', rcvdStr);
+      });
+    });
+
+  });
+
+  describe('unrecognized requests', function() {
+
+    it('should apologize by default', function() {
+      vh.initialize();
+      return vh.sendRequest('AMAZON.FallbackIntent').then(({rcvdStr, body})=>{
+        assert.equal('Sorry, I did not understand that.', rcvdStr);
+        assert.equal(false, body.response.shouldEndSession);
+      });
+    });
+
+    it('should be customizable for the app', function() {
+      vh.violet.onUnrecognized((response) => {
+        response.say('I can only help with the weather');
+      });
+      vh.initialize();
+      return vh.sendRequest('AMAZON.FallbackIntent').then(({rcvdStr, body})=>{
+        assert.equal('I can only help with the weather', rcvdStr);
+      });
+    });
+
+  });
+
+  describe('script validation', function() {
+
+    var buggyScript = (violet)=>{
+      violet.respondTo('My name is [[name]]', (response) => {
+        response.addGoal('greet');
+      });
+      violet.defineGoal({
+        goal: 'flightDay',
+        prompt: 'What day are you flying?'
+      });
+    };
+
+    it('should report mistakes in scripts', function() {
+      buggyScript(vh.violet);
+      var issues = vh.violet.validateScript();
+      var issueTypes = issues.map(i=>{return `${i.severity}:${i.type}`;}).sort();
+      assert.deepEqual([
+        'error:unansweredPrompt',
+        'error:undeclaredVariable',
+        'error:undefinedGoal',
+        'warning:unreachableGoal'
+      ], issueTypes);
+    });
+
+    it('should fail registering intents when strict', function() {
+      buggyScript(vh.violet);
+      vh.violet.setValidationOptions({strict: true});
+      assert.throws(()=>{vh.violet.registerIntents();}, /Script has 3 error/);
+    });
+
+    it('should not report goals that are added or confirmed', function() {
+      vh.violet.addInputTypes({'age': 'number'});
+      vh.violet.respondTo({
+        expecting: 'My age is [[age]]',
+        confirm: 'You said [[age]], right?',
+        resolve: (response) => { response.addGoal('birthday'); }
+      });
+      vh.violet.defineGoal({
+        goal: 'birthday',
+        resolve: (response) => { response.say('Happy birthday'); }
+      });
+      assert.deepEqual([], vh.violet.validateScript());
+    });
+
+  });
+
+  describe('middleware', function() {
+
+    it('should be able to short-circuit requests', function() {
+      var resolved = false;
+      vh.violet.use({
+        beforeIntent: (platReq, response, intentName) => {
+          response.say('You are not authorized');
+          return false;
+        }
+      });
+      vh.violet.respondTo('Hello', (response) => { resolved = true; response.say('Hi'); });
+      vh.initialize();
+      return vh.sendIntent('Hello').then(({rcvdStr, body})=>{
+        assert.equal(false, resolved);
+        assert.equal('You are not authorized', rcvdStr);
+      });
+    });
+
+    it('should be able to observe and rewrite output', function() {
+      var calls = [];
+      vh.violet.use({
+        beforeIntent: (platReq, response, intentName) => { calls.push('beforeIntent'); },
+        afterResolve: (platReq, response) => { calls.push('afterResolve'); },
+        beforeSend: (platReq, response, outBuffer) => {
+          calls.push('beforeSend');
+          return outBuffer.toUpperCase();
+        }
+      });
+      vh.violet.respondTo('Hello', (response) => { calls.push('resolve'); response.say('Hi'); });
+      vh.initialize();
+      return vh.sendIntent('Hello').then(({rcvdStr, body})=>{
+        assert.deepEqual(['beforeIntent', 'resolve', 'afterResolve', 'beforeSend'], calls);
+        assert.equal('HI', rcvdStr);
+      });
+    });
+
+    it('should be able to handle errors', function() {
+      vh.violet.use({
+        onError: (err, platReq, response) => {
+          response.say('Something went wrong: ' + err.message);
+          return true;
+        }
+      });
+      vh.violet.respondTo('Hello', (response) => { throw new Error('oops'); });
+      vh.initialize();
+      return vh.sendIntent('Hello').then(({rcvdStr, body})=>{
+        assert.equal('Something went wrong: oops', rcvdStr);
+      });
+    });
+
+  });
+
+  describe('events', function() {
+
+    it('should send typed events to sinks', function() {
+      var events = [];
+      vh.violet.addEventSink((event) => { events.push(event); });
+      vh.violet.defineGoal({
+        goal: 'name',
+        prompt: 'What is your name?'
+      });
+      vh.violet.respondTo('Hello', (response) => {
+        response.say('Hi');
+        response.addGoal('name');
+      });
+      vh.initialize();
+      return vh.sendIntent('Hello').then(({rcvdStr})=>{
+        assert.deepEqual(['intent.matched', 'goal.added', 'goal.queried', 'response.sent'], events.map(e=>{return e.type;}));
+        assert.equal('test', events[0].app);
+        assert.equal('alexa', events[0].platform);
+        assert.ok(events[0].sessionId);
+        assert.equal('name', events[1].goal);
+        assert.equal(rcvdStr, events[3].output);
+        assert.equal(false, events[3].endSession);
+      });
+    });
+
+    it('should send store queries and errors', function() {
+      var events = [];
+      class TestStore extends StorePlugin {
+        load(params) {
+          return this._runQuery('SELECT ' + params.query, ()=>{return Promise.resolve([]);});
+        }
+      }
+      vh.violet.setPersistentStore(new TestStore());
+      vh.violet.addEventSink({write: (event) => { events.push(event); }});
+      vh.violet.respondTo('Hello', (response) => {
+        return response.load({query: 'Name FROM Account'}).then(()=>{
+          throw new Error('oops');
+        });
+      });
+      vh.initialize();
+      return vh.sendIntent('Hello').catch(()=>{}).then(()=>{
+        var queryEvent = events.find(e=>{return e.type == 'store.query';});
+        assert.equal('SELECT Name FROM Account', queryEvent.query);
+        assert.equal('number', typeof queryEvent.durationMs);
+        assert.equal('alexa', queryEvent.platform);
+        var errorEvent = events.find(e=>{return e.type == 'error';});
+        assert.equal('oops', errorEvent.error);
+      });
+    });
+
+  });
+
+  describe('logging', function() {
+
+    it('should correlate what is logged for a request and redact slots', function() {
+      var lines = [];
+      var previous = log.configure({level: 'debug', redact: ['name'], output: (line)=>{lines.push(JSON.parse(line));}});
+      vh.violet.addInputTypes({'name': 'AMAZON.US_FIRST_NAME'});
+      vh.violet.respondTo('My name is [[name]]', (response) => {
+        response.log.info('Greeting', {correlationId: response.correlationId});
+        response.say('I like the name [[name]]');
+      });
+      vh.initialize();
+      return vh.sendIntent('My name is', {name: 'Ann'}).then(({rcvdStr})=>{
+        log.configure(previous);
+        assert.equal('I like the name Ann', rcvdStr);
+        var greeting = lines.find(l=>{return l.msg == 'Greeting';});
+        var requestLines = lines.filter(l=>{return l.correlationId == greeting.correlationId;});
+        assert.ok(requestLines.find(l=>{return l.msg == 'Intent matched';}));
+        assert.ok(requestLines.find(l=>{return l.msg == 'Saying';}));
+        assert.ok(lines.every(l=>{return JSON.stringify(l).indexOf('Ann') == -1;}));
+      }, (err)=>{
+        log.configure(previous);
+        throw err;
+      });
+    });
+
+  });
+
+  describe('metrics', function() {
+
+    it('should expose metrics for the apps on the server', function() {
+      var server = vh.server();
+      server.exposeMetricsAt('/metrics');
+      server.installTooling(express.Router(), vh.violet);
+      vh.violet.respondTo('Hello', (response) => { response.say('Hi'); });
+      vh.initialize();
+      return vh.sendIntent('Hello').then(()=>{
+        return requestP(`http://localhost:${process.env.PORT || 8080}/metrics`);
+      }).then((body)=>{
+        assert.ok(/violet_intents_total\{app="test",platform="alexa",intent="[^"]+"\} 1/.test(body));
+        assert.ok(/violet_resolve_duration_seconds_count\{app="test",platform="alexa"\} 1/.test(body));
+      });
+    });
+
+  });
+
+  describe('error recovery', function() {
+
+    var flightDef = (violet) => {
+      violet.respondTo('Check my flight', (response) => {
+        response.addGoal('flightDay');
+      });
+      violet.defineGoal({
+        goal: 'flightDay',
+        prompt: 'What day are you flying?',
+        respondTo: [{
+          expecting: 'Today',
+          resolve: (response) => {
+            response.say('Checking');
+            response.clearGoal('flightDay');
+            throw new Error('flight service down');
+          }
+        }]
+      });
+    };
+
+    it('should say the error message and roll back the goals', function() {
+      flightDef(vh.violet);
+      vh.initialize();
+      return vh.sendIntent('Check my flight').then(({sessionAttributes})=>{
+        return vh.sendIntent('Today', null, sessionAttributes).then((failed)=>{
+          assert.equal('Sorry, something went wrong. Please try again.', failed.rcvdStr);
+          assert.deepEqual(sessionAttributes.convoGoals, failed.sessionAttributes.convoGoals);
+        });
+      });
+    });
+
+    it('should allow the error message to be changed', function() {
+      vh.violet.setErrorPhrases(['That did not work.']);
+      vh.violet.respondTo('Hello', (response) => { throw new Error('oops'); });
+      vh.initialize();
+      return vh.sendIntent('Hello').then(({rcvdStr})=>{
+        assert.equal('That did not work.', rcvdStr);
+      });
+    });
+
+    it('should let intents handle their errors', function() {
+      vh.violet.respondTo({
+        expecting: 'Hello',
+        resolve: (response) => {
+          response.say('Hi');
+          throw new Error('oops');
+        },
+        onError: (err, response) => { response.say('Hello failed: ' + err.message); }
+      });
+      vh.violet.respondTo({
+        expecting: 'Goodbye',
+        resolve: (response) => { throw new Error('oops'); },
+        onError: (err, response) => { return false; }
+      });
+      vh.initialize();
+      return vh.sendIntent('Hello').then(({rcvdStr})=>{
+        assert.equal('Hello failed: oops', rcvdStr);
+        return vh.sendIntent('Goodbye');
+      }).then(({rcvdStr})=>{
+        assert.equal('Sorry, something went wrong. Please try again.', rcvdStr);
+      });
+    });
+
+    it('should let goals handle their errors', function() {
+      vh.violet.respondTo('Check my flight', (response) => {
+        response.addGoal('flightStatus');
+      });
+      vh.violet.defineGoal({
+        goal: 'flightStatus',
+        resolve: (response) => { throw new Error('flight service down'); },
+        onError: (err, response) => { response.say('I cannot check flights right now'); }
+      });
+      vh.initialize();
+      return vh.sendIntent('Check my flight').then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('I cannot check flights right now', rcvdStr);
+        assert.deepEqual([], sessionAttributes.convoGoals || []);
+      });
+    });
+
+    it('should meet the error goal', function() {
+      flightDef(vh.violet);
+      vh.violet.defineGoal({
+        goal: 'apologize',
+        resolve: (response, args) => { response.say('Apologies, the ' + args.error); }
+      });
+      vh.violet.setErrorGoal('apologize');
+      vh.initialize();
+      return vh.sendIntent('Check my flight').then(({sessionAttributes})=>{
+        return vh.sendIntent('Today', null, sessionAttributes).then((failed)=>{
+          assert.equal('Apologies, the flight service down', failed.rcvdStr);
+          assert.deepEqual(sessionAttributes.convoGoals, failed.sessionAttributes.convoGoals);
+        });
+      });
+    });
+
+  });
+
+  describe('concurrency', function() {
+
+    it('should keep outputs separate when requests are interleaved', function() {
+      vh.violet.respondTo('Slow request', (response) => {
+        response.say('Starting slowly');
+        return new Promise((resolve)=>{
+          setTimeout(()=>{
+            response.say('Finishing slowly');
+            resolve();
+          }, 100);
+        });
+      });
+      vh.violet.respondTo('Fast request', (response) => {
+        response.say('Done quickly');
+        response.endConversation();
+      });
+      vh.initialize();
+      return Promise.all([
+        vh.sendIntent('Slow request'),
+        vh.sendIntent('Fast request')
+      ]).then(([slow, fast])=>{
+        assert.equal('Starting slowly <break time="500ms"/>  Finishing slowly', slow.rcvdStr);
+        assert.equal(false, slow.body.response.shouldEndSession);
+        assert.equal('Done quickly', fast.rcvdStr);
+        assert.equal(true, fast.body.response.shouldEndSession);
+      });
+    });
+
+  });
+
 });
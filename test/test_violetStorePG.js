@@ -49,5 +49,46 @@ describe('violetStorePG', function() {
 
   });
 
+  describe('sessions', function() {
+
+    it('should be able to keep and read a session until it expires', function() {
+      var violetStorePG = require('../lib/violetStorePG')(vh.violet);
+      var sessionStore = violetStorePG.sessionStore();
+      var sessionId = `test-session-${Math.round(Math.random()*1000*1000)}`;
+      return violetStorePG.connect().then(()=>{
+        return sessionStore.set(sessionId, {count: 1}, 60*1000);
+      }).then(()=>{
+        return sessionStore.get(sessionId, 60*1000);
+      }).then((attributes)=>{
+        assert.deepEqual({count: 1}, attributes);
+        return sessionStore.get(sessionId, -1);
+      }).then((attributes)=>{
+        assert.equal(undefined, attributes);
+        return sessionStore.delete(sessionId);
+      }).then(()=>{
+        violetStorePG.cleanup();
+      });
+    });
+
+  });
+
+  describe('user profiles', function() {
+
+    it('should be able to keep and read a profile', function() {
+      var violetStorePG = require('../lib/violetStorePG')(vh.violet);
+      var profileStore = violetStorePG.profileStore();
+      var userId = `test-user-${Math.round(Math.random()*1000*1000)}`;
+      return violetStorePG.connect().then(()=>{
+        return profileStore.set(userId, {name: 'Ann'});
+      }).then(()=>{
+        return profileStore.get(userId);
+      }).then((profile)=>{
+        assert.deepEqual({name: 'Ann'}, profile);
+        violetStorePG.cleanup();
+      });
+    });
+
+  });
+
 
 });
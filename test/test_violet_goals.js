@@ -32,6 +32,19 @@ describe('violet goals', function() {
       return vh.sendIntent('Hello');
     });
 
+    it('goals whose names share a prefix do not collide', function() {
+      vh.violet.respondTo('Hello', (response) => {
+        response.addGoal('welcomeBack');
+        assert.equal(false, response.hasGoal('welcome'));
+        response.addGoal('welcome');
+        response.clearGoal('welcome');
+        assert.equal(true, response.hasGoal('welcomeBack'));
+        assert.equal(false, response.hasGoal('welcome'));
+      });
+      vh.initialize();
+      return vh.sendIntent('Hello');
+    });
+
     it('multiple goals still allow the first goal to be verified', function() {
       vh.violet.respondTo('Hello', (response) => {
         response.addGoal('welcome');
@@ -137,6 +150,207 @@ describe('violet goals', function() {
     });
 
 
+    it('goal arguments are available when the goal is resolved', function() {
+      vh.violet.defineGoal({
+        goal: 'confirmClose',
+        prompt: 'Are you sure you want to close the case',
+        respondTo: [{
+          expecting: 'Yes close it',
+          resolve: (response, args) => {
+            response.say(`Closing case ${args.caseNumber}`);
+        }}]
+      });
+      vh.violet.respondTo('Close my case', (response) => {
+        response.addGoal('confirmClose', {caseNumber: '1021'});
+        assert.deepEqual({caseNumber: '1021'}, response.getGoalArgs('confirmClose'));
+      });
+      vh.initialize();
+      return vh.sendIntent('Close my case').then(({rcvdStr, sessionAttributes})=>{
+        assert.deepEqual([{key: 'confirmClose', args: {caseNumber: '1021'}, queried: true}], sessionAttributes.convoGoals);
+        return vh.sendIntent('Yes close it', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('Closing case 1021', rcvdStr);
+        assert.deepEqual([], sessionAttributes.convoGoals);
+      });
+    });
+
+    it('goals stored in older sessions are migrated', function() {
+      basicPromptGoalDef(vh.violet);
+      vh.initialize();
+      return vh.sendIntent('doing well', null, {convoGoalState: 'welcome:queried'}).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('Glad to hear that', rcvdStr);
+        assert.equal(undefined, sessionAttributes.convoGoalState);
+        assert.deepEqual([], sessionAttributes.convoGoals);
+      });
+    });
+
+    var expiringGoalDef = (violet, expiry)=>{
+      violet.defineGoal(Object.assign({
+        goal: 'rateUs',
+        prompt: 'Would you like to rate us',
+        onExpire: (response) => {
+          response.say('Never mind the rating');
+        },
+        respondTo: [{
+          expecting: 'Sure I will rate you',
+          resolve: (response) => {
+            response.say('Thanks for rating us');
+        }}]
+      }, expiry));
+      violet.respondTo('Hello', (response) => {
+        response.say('Hi');
+        response.addGoal('rateUs');
+      });
+      violet.respondTo('What is the weather', (response) => {
+        response.say('It is sunny');
+      });
+    };
+
+    it('goals expire after the given number of turns', function() {
+      expiringGoalDef(vh.violet, {expiresAfterTurns: 1});
+      vh.initialize();
+      return vh.sendIntent('Hello').then(({rcvdStr, sessionAttributes})=>{
+        return vh.sendIntent('What is the weather', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('It is sunny', rcvdStr);
+        assert.equal(true, sessionAttributes.convoGoals.some(g=>{return g.key=='rateUs';}));
+        return vh.sendIntent('What is the weather', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('Never mind the rating <break time="500ms"/>  It is sunny', rcvdStr);
+        assert.deepEqual([], sessionAttributes.convoGoals);
+      });
+    });
+
+    it('goals saved without when they were added still expire', function() {
+      expiringGoalDef(vh.violet, {expiresAfterTurns: 1});
+      vh.initialize();
+      return vh.sendIntent('What is the weather', null, {convoGoals: [{key: 'rateUs'}]}).then(({sessionAttributes})=>{
+        assert.equal(true, sessionAttributes.convoGoals[0].addedTurn != undefined);
+        return vh.sendIntent('What is the weather', null, sessionAttributes);
+      }).then(({sessionAttributes})=>{
+        return vh.sendIntent('What is the weather', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('Never mind the rating <break time="500ms"/>  It is sunny', rcvdStr);
+        assert.deepEqual([], sessionAttributes.convoGoals);
+      });
+    });
+
+    it('goals expire after the given amount of time', function() {
+      var events = [];
+      expiringGoalDef(vh.violet, {expiresAfterMs: 50});
+      vh.violet.addEventSink((event) => { events.push(event); });
+      vh.initialize();
+      return vh.sendIntent('Hello').then(({rcvdStr, sessionAttributes})=>{
+        return new Promise((resolve)=>{
+          setTimeout(()=>{resolve(sessionAttributes);}, 100);
+        });
+      }).then((sessionAttributes)=>{
+        return vh.sendIntent('What is the weather', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('Never mind the rating <break time="500ms"/>  It is sunny', rcvdStr);
+        assert.deepEqual([], sessionAttributes.convoGoals);
+        var cleared = events.filter(e=>{return e.type == 'goal.cleared';});
+        assert.deepEqual([{goal: 'rateUs', reason: 'expired'}], cleared.map(e=>{return {goal: e.goal, reason: e.reason};}));
+      });
+    });
+
+    it('prompts are used to reprompt the user when they do not respond', function() {
+      basicPromptGoalDef(vh.violet);
+      vh.initialize();
+      return vh.sendIntent('Hello').then(({rcvdStr, body})=>{
+        assert.equal('<speak>How are you doing</speak>', body.response.reprompt.outputSpeech.ssml);
+      });
+    });
+
+    it('goals can define what to reprompt the user with', function() {
+      vh.violet.respondTo('Hello', (response) => {
+        response.addGoal('welcome');
+      });
+      vh.violet.defineGoal({
+        goal: 'welcome',
+        prompt: 'How are you doing',
+        reprompt: 'Are you doing well',
+        respondTo: [{
+          expecting: 'doing well',
+          resolve: (response) => {
+            response.say('Glad to hear that');
+        }}]
+      });
+      vh.initialize();
+      return vh.sendIntent('Hello').then(({rcvdStr, body})=>{
+        assert.equal('How are you doing', rcvdStr);
+        assert.equal('<speak>Are you doing well</speak>', body.response.reprompt.outputSpeech.ssml);
+        return vh.sendIntent('doing well', null, body.sessionAttributes);
+      }).then(({rcvdStr, body})=>{
+        assert.equal(undefined, body.response.reprompt);
+      });
+    });
+
+    it('flow script decisions can define what to reprompt the user with', function() {
+      vh.violet.addFlowScript(`
+      <app>
+        <choice>
+          <expecting>Hello</expecting>
+          <decision>
+            <prompt>How are you doing</prompt>
+            <reprompt>Are you doing well</reprompt>
+            <choice>
+              <expecting>doing well</expecting>
+              <say>Glad to hear that</say>
+            </choice>
+          </decision>
+        </choice>
+      </app>`, {});
+      vh.initialize();
+      return vh.sendIntent('Hello').then(({rcvdStr, body})=>{
+        assert.equal('How are you doing', rcvdStr);
+        assert.equal('<speak>Are you doing well</speak>', body.response.reprompt.outputSpeech.ssml);
+      });
+    });
+
+    it('goal fallbacks escalate when the user is not understood', function() {
+      vh.violet.respondTo('Hello', (response) => {
+        response.addGoal('welcome');
+      });
+      vh.violet.defineGoal({
+        goal: 'welcome',
+        prompt: 'How are you doing',
+        fallback: {
+          rephrase: 'Sorry, are you doing well',
+          help: 'You can say doing well or not well',
+          maxRetries: 3,
+          giveUp: 'Lets move on'
+        },
+        respondTo: [{
+          expecting: 'doing well',
+          resolve: (response) => {
+            response.say('Glad to hear that');
+        }}]
+      });
+      vh.violet.onUnrecognized((response) => {
+        response.say('I did not get that');
+      });
+      vh.initialize();
+      var retriesOf = (sessionAttributes)=>{return sessionAttributes.convoGoals[0].retries;};
+      return vh.sendIntent('Hello').then(({rcvdStr, sessionAttributes})=>{
+        return vh.sendRequest('AMAZON.FallbackIntent', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('Sorry, are you doing well', rcvdStr);
+        assert.equal(1, retriesOf(sessionAttributes));
+        return vh.sendRequest('AMAZON.FallbackIntent', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('You can say doing well or not well', rcvdStr);
+        assert.equal(2, retriesOf(sessionAttributes));
+        return vh.sendRequest('AMAZON.FallbackIntent', null, sessionAttributes);
+      }).then(({rcvdStr, sessionAttributes})=>{
+        assert.equal('Lets move on', rcvdStr);
+        assert.deepEqual([], sessionAttributes.convoGoals);
+        return vh.sendRequest('AMAZON.FallbackIntent', null, sessionAttributes);
+      }).then(({rcvdStr})=>{
+        assert.equal('I did not get that', rcvdStr);
+      });
+    });
+
     // TODO: adapt below for goals
 
     // it('once a goals is set and it is cleared then goal prompts are not triggered', function() {
@@ -6,9 +6,11 @@ const portToUse = process.env.PORT || 8080
 const serverEndpoint = 'alexa';
 const testAppName = 'test';
 const violetUrl = `http://localhost:${portToUse}/${testAppName}/${serverEndpoint}`;
+const googleUrl = `http://localhost:${portToUse}/${testAppName}/google`;
 
 var violetSrvr;
 var violet, srvrInstance;
+var accessToken;
 
 /*var templates = */require('../web-tooling-views/templates-json.js');
 
@@ -26,6 +28,7 @@ afterEach(function() {
   srvrInstance = null;
   violet = null;
   module.exports.violet = violet;
+  accessToken = undefined;
 });
 
 
@@ -35,14 +38,19 @@ var startServer = (appName) => {
   return srvrInstance;
 }
 
+module.exports.server = () => {
+  return violetSrvr;
+};
+
 module.exports.initialize = (_violet) => {
   violet.registerIntents();
   violet.platforms.setServerApp(violetSrvr.getSvcRouter());
 };
 
-var getIntent = module.exports.getIntent = (spokenPhrase) => {
+var getIntent = module.exports.getIntent = (spokenPhrase, locale) => {
   spokenPhrase = spokenPhrase.toLowerCase();
-  return requestP(violetUrl + '?utterances').then(function (body) {
+  var localeQuery = locale ? `&locale=${locale}` : '';
+  return requestP(violetUrl + '?utterances' + localeQuery).then(function (body) {
     var utterances = body.split('\n').map(u=>{
       var intentSep = u.indexOf(' ');
       return {
@@ -60,7 +68,7 @@ var getIntent = module.exports.getIntent = (spokenPhrase) => {
   });
 };
 
-var sendRequest = module.exports.sendRequest = (intentName, params, sessionAttributes) => {
+var sendRequest = module.exports.sendRequest = (intentName, params, sessionAttributes, locale='en-US') => {
   // console.log(`Request for ${intentName}`);
   var msgBody = templates['IntentRequest'];
   msgBody.request.intent.name = intentName;
@@ -68,12 +76,17 @@ var sendRequest = module.exports.sendRequest = (intentName, params, sessionAttri
   if (intentName == '<<Launch>>') {
     msgBody = templates['LaunchRequest'];
   }
+  msgBody.request.locale = locale;
   if (params) {
     Object.keys(params).forEach(k=>{
       msgBody.request.intent.slots[k] = {value: params[k], name: k};
     });
     // console.log('params: ', msgBody.request.intent.slots);
   }
+  if (accessToken)
+    msgBody.session.user.accessToken = accessToken;
+  else
+    delete msgBody.session.user.accessToken;
   if (sessionAttributes) {
     msgBody.session.attributes = sessionAttributes;
   } else {
@@ -100,10 +113,49 @@ var sendRequest = module.exports.sendRequest = (intentName, params, sessionAttri
 
 };
 
-module.exports.sendIntent = (spokenPhrase, params, sessionAttributes) => {
-  return getIntent(spokenPhrase)
+// sends a Dialogflow webhook request as if from Actions on Google - contexts
+// are the outputContexts of the previous response (for the session)
+module.exports.sendGoogleRequest = (intentName, params, contexts, locale='en-US') => {
+  var user = {userId: 'test-user', locale};
+  if (accessToken) user.accessToken = accessToken;
+  var msgBody = {
+    responseId: 'test-response',
+    session: 'projects/test/agent/sessions/test-session',
+    queryResult: {
+      queryText: '',
+      parameters: params || {},
+      allRequiredParamsPresent: true,
+      intent: {name: `projects/test/agent/intents/${intentName}`, displayName: intentName},
+      outputContexts: contexts || [],
+      languageCode: locale
+    },
+    originalDetectIntentRequest: {
+      source: 'google',
+      version: '2',
+      payload: {user, conversation: {conversationId: 'test-session'}, surface: {capabilities: []}}
+    }
+  };
+  var options = { method: 'POST',
+    url: googleUrl,
+    json: true,
+    body: msgBody
+  };
+  return requestP(options).then(function (body) {
+    var google = body.payload.google;
+    var rcvdStr = google.richResponse.items.map(item=>{return item.simpleResponse.textToSpeech;}).join(' ');
+    return {rcvdStr, contexts: body.outputContexts, body};
+  });
+};
+
+// sent as the access token of the user's linked account (until the test ends)
+module.exports.setAccessToken = (token) => {
+  accessToken = token;
+};
+
+module.exports.sendIntent = (spokenPhrase, params, sessionAttributes, locale) => {
+  return getIntent(spokenPhrase, locale)
           .then(intentName=>{
-              if (intentName) return sendRequest(intentName, params, sessionAttributes)
+              if (intentName) return sendRequest(intentName, params, sessionAttributes, locale)
             });
 };
 